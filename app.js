@@ -20,13 +20,28 @@ class CircuitPatternApp {
         this.currentPattern = null;
         this.nextObjectId = 1;
         this.editingTextObject = null;
+        this.editingSettingsObject = null;
         this.gradientStartPoint = null;
         this.gradientEndPoint = null;
         this.draggingGradientHandle = null; // 'start' or 'end'
+        this.symmetryCenter = null; // Centre of symmetry (defaults to the canvas centre)
+        this.isDraggingSymmetry = false;
+        this.isSelectingRegion = false; // Next drag on the canvas picks a region to re-roll
+        this.regionSelection = null; // Region being dragged: { start, end }
+        this.isEditingTraces = false; // Clicks on the canvas select traces instead of objects
+        this.selectedTrace = null; // { index, view, conflict }: index into currentPattern.rawSegments, view 0 is the trace itself, others its copies; conflict says what a drag left wrong
+        this.draggingTracePoint = null; // Index of the point of the selected trace being dragged
+        this.traceUpdateFrame = null; // Animation frame that redraws the pattern during a drag
+        this.isDrawingTrace = false; // Clicks on the canvas add points to a manual trace
+        this.traceDraft = null; // Manual trace being drawn: { points, cursor }
+        this.generation = null; // Running worker generation: { worker, resolve, previousPattern }
+        this.densityImage = null; // DensityMap loaded from a grayscale image
 
         this.initializeEventListeners();
+        document.getElementById('patternSeed').value = this.patternGenerator.createSeed();
         this.updateBackground();
         this.updateObjectsList();
+        this.updateTracesList();
 
         // Initialize gradient color group visibility
         const gradientType = document.getElementById('lineGradientType').value;
@@ -40,7 +55,7 @@ class CircuitPatternApp {
 
     initializeEventListeners() {
         // Add object buttons
-        document.querySelectorAll('.btn-add-object').forEach(btn => {
+        document.querySelectorAll('.btn-add-object[data-type]').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const type = e.target.getAttribute('data-type');
                 this.addObject(type);
@@ -53,6 +68,7 @@ class CircuitPatternApp {
         this.canvas.addEventListener('mouseup', () => this.handleMouseUp());
         this.canvas.addEventListener('mouseleave', () => this.handleMouseUp());
         this.canvas.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        document.getElementById('traceToolBtn').addEventListener('click', () => this.setTraceTool(!this.isDrawingTrace));
 
         // Touch events for mobile
         this.canvas.addEventListener('touchstart', (e) => {
@@ -123,6 +139,13 @@ class CircuitPatternApp {
             }
         });
 
+        document.getElementById('symmetry').addEventListener('change', (e) => {
+            document.getElementById('symmetryOrder').style.display = e.target.value === 'radial' ? 'block' : 'none';
+            this.renderSymmetryHandle();
+        });
+
+        document.getElementById('symmetryOrder').addEventListener('input', () => this.renderSymmetryHandle());
+
         document.getElementById('editGradientPoints').addEventListener('change', (e) => {
             if (e.target.checked && this.currentPattern && this.currentPattern.gradientType !== 'none') {
                 this.renderGradientHandles();
@@ -169,6 +192,113 @@ class CircuitPatternApp {
             }
         });
 
+        document.getElementById('angleSet').addEventListener('change', (e) => {
+            const angles = PatternGenerator.ANGLE_PRESETS[e.target.value];
+            if (angles) {
+                document.getElementById('angleWeights').value = angles.map(angle => `${angle}:1`).join(', ');
+            }
+        });
+
+        document.getElementById('angleWeights').addEventListener('input', () => {
+            document.getElementById('angleSet').value = 'custom';
+        });
+
+        document.getElementById('forkRadius').addEventListener('input', (e) => {
+            document.getElementById('forkRadiusValue').textContent = e.target.value;
+            if (this.currentPattern) {
+                this.currentPattern.forkRadius = parseFloat(e.target.value);
+                this.renderPattern();
+            }
+        });
+
+        const updatePads = () => {
+            if (this.currentPattern) {
+                this.patternGenerator.assignPads(this.currentPattern,
+                    document.getElementById('padStyle').value,
+                    document.getElementById('padMix').value);
+                this.renderPattern();
+            }
+        };
+        document.getElementById('padStyle').addEventListener('change', updatePads);
+        document.getElementById('padMix').addEventListener('change', updatePads);
+
+        document.getElementById('busFrequency').addEventListener('input', (e) => {
+            document.getElementById('busFrequencyValue').textContent = e.target.value;
+        });
+
+        document.getElementById('busWidth').addEventListener('input', (e) => {
+            document.getElementById('busWidthValue').textContent = e.target.value;
+        });
+
+        document.getElementById('busPitch').addEventListener('input', (e) => {
+            document.getElementById('busPitchValue').textContent = e.target.value;
+        });
+
+        document.getElementById('cornerStyle').addEventListener('change', (e) => {
+            if (this.currentPattern) {
+                this.currentPattern.cornerStyle = e.target.value;
+                this.renderPattern();
+            }
+        });
+
+        document.getElementById('cornerSize').addEventListener('input', (e) => {
+            document.getElementById('cornerSizeValue').textContent = e.target.value;
+            if (this.currentPattern) {
+                this.currentPattern.cornerSize = parseInt(e.target.value);
+                this.renderPattern();
+            }
+        });
+
+        document.getElementById('edgeClearance').addEventListener('input', (e) => {
+            document.getElementById('edgeClearanceValue').textContent = e.target.value;
+        });
+
+        document.getElementById('keepOutClearance').addEventListener('input', (e) => {
+            document.getElementById('keepOutClearanceValue').textContent = e.target.value;
+        });
+
+        document.getElementById('branchProbability').addEventListener('input', (e) => {
+            document.getElementById('branchProbabilityValue').textContent = e.target.value;
+        });
+
+        document.getElementById('maxDepth').addEventListener('input', (e) => {
+            document.getElementById('maxDepthValue').textContent = e.target.value;
+        });
+
+        document.getElementById('targetCoverage').addEventListener('input', (e) => {
+            document.getElementById('targetCoverageValue').textContent = e.target.value;
+        });
+
+        document.getElementById('contourRings').addEventListener('input', (e) => {
+            document.getElementById('contourRingsValue').textContent = e.target.value;
+        });
+
+        document.getElementById('contourSpacing').addEventListener('input', (e) => {
+            document.getElementById('contourSpacingValue').textContent = e.target.value;
+        });
+
+        document.getElementById('footprintCount').addEventListener('input', (e) => {
+            document.getElementById('footprintCountValue').textContent = e.target.value;
+        });
+
+        document.getElementById('footprintSize').addEventListener('input', (e) => {
+            document.getElementById('footprintSizeValue').textContent = parseFloat(e.target.value).toFixed(1);
+        });
+
+        document.getElementById('densityMapType').addEventListener('change', (e) => {
+            const imageInput = document.getElementById('densityMapImage');
+            imageInput.style.display = e.target.value === 'image' ? 'block' : 'none';
+            if (e.target.value === 'image' && !this.densityImage) {
+                imageInput.click();
+            }
+        });
+
+        document.getElementById('densityMapImage').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadDensityImage(e.target.files[0]);
+            }
+        });
+
         document.getElementById('circleRadius').addEventListener('input', (e) => {
             document.getElementById('radiusValue').textContent = e.target.value;
             if (this.currentPattern) {
@@ -179,8 +309,37 @@ class CircuitPatternApp {
 
         // Buttons
         document.getElementById('generateBtn').addEventListener('click', () => this.generatePattern());
+        document.getElementById('rerollSeedBtn').addEventListener('click', () => this.rerollSeed());
+        document.getElementById('cancelGenerateBtn').addEventListener('click', () => this.cancelGeneration());
         document.getElementById('clearBtn').addEventListener('click', () => this.clear());
         document.getElementById('downloadBtn').addEventListener('click', () => this.downloadSVG());
+        document.getElementById('downloadPngBtn').addEventListener('click', () => this.downloadPNG());
+        document.getElementById('rerollRegionBtn').addEventListener('click', () => this.setRegionSelecting(!this.isSelectingRegion));
+        document.getElementById('editTracesBtn').addEventListener('click', () => this.setTraceEditing(!this.isEditingTraces));
+        document.getElementById('deleteTraceBtn').addEventListener('click', () => this.deleteSelectedTrace());
+        document.getElementById('lockTraceBtn').addEventListener('click', () => this.toggleTraceLock());
+
+        document.addEventListener('keydown', (e) => {
+            // Enter finishes the manual trace being drawn, Escape drops it
+            if (this.traceDraft && (e.key === 'Enter' || e.key === 'Escape')) {
+                e.preventDefault();
+                if (e.key === 'Enter') {
+                    this.finishTrace();
+                } else {
+                    this.traceDraft = null;
+                    this.renderTraceDraft();
+                }
+                return;
+            }
+
+            // Delete the selected trace, unless a form field has the focus
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.getSelectedTrace() &&
+                !(e.target.closest && e.target.closest('input, textarea, select'))) {
+                e.preventDefault();
+                this.deleteSelectedTrace();
+            }
+        });
+        document.getElementById('tilePreviewBtn').addEventListener('click', () => this.openTilePreview());
 
         // Text editor modal
         const textModal = document.getElementById('textEditorModal');
@@ -210,6 +369,32 @@ class CircuitPatternApp {
                 this.closeTextEditor();
             }
         });
+
+        // Object settings modal
+        const settingsModal = document.getElementById('objectSettingsModal');
+        document.getElementById('objectSettingsSave').addEventListener('click', () => this.saveObjectSettings());
+        document.getElementById('objectSettingsReset').addEventListener('click', () => {
+            ['objDensity', 'objPatternScale', 'objLineThickness', 'objCircleRadius', 'objStyle'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            document.getElementById('objLineColorOverride').checked = false;
+        });
+        document.getElementById('objectSettingsCancel').addEventListener('click', () => this.closeObjectSettings());
+        document.getElementById('objectSettingsClose').addEventListener('click', () => this.closeObjectSettings());
+        settingsModal.addEventListener('click', (e) => {
+            if (e.target === settingsModal) {
+                this.closeObjectSettings();
+            }
+        });
+
+        // Tile preview modal
+        const previewModal = document.getElementById('tilePreviewModal');
+        document.getElementById('tilePreviewClose').addEventListener('click', () => this.closeTilePreview());
+        previewModal.addEventListener('click', (e) => {
+            if (e.target === previewModal) {
+                this.closeTilePreview();
+            }
+        });
     }
 
     addObject(type) {
@@ -218,6 +403,8 @@ class CircuitPatternApp {
             id: id,
             type: type,
             data: this.getDefaultObjectData(type),
+            keepOut: false, // Keep-outs are cut out of the fill area
+            overrides: {}, // Pattern options this object sets for itself (see PatternGenerator.OBJECT_OVERRIDES)
             svgElement: null
         };
         this.objects.push(object);
@@ -268,6 +455,14 @@ class CircuitPatternApp {
         this.renderObjects();
     }
 
+    toggleKeepOut(id) {
+        const obj = this.objects.find(obj => obj.id === id);
+        if (!obj) return;
+        obj.keepOut = !obj.keepOut;
+        this.updateObjectsList();
+        this.renderObjects();
+    }
+
     selectObject(id) {
         this.currentObjectId = id;
         this.currentObject = this.objects.find(obj => obj.id === id) || null;
@@ -288,6 +483,18 @@ class CircuitPatternApp {
             const type = document.createElement('div');
             type.className = 'object-type';
             type.textContent = obj.type;
+            if (obj.keepOut) {
+                const badge = document.createElement('span');
+                badge.className = 'object-badge';
+                badge.textContent = 'keep-out';
+                type.appendChild(badge);
+            } else if (this.hasOverrides(obj)) {
+                const badge = document.createElement('span');
+                badge.className = 'object-badge overrides';
+                badge.textContent = 'custom';
+                badge.title = this.describeOverrides(obj);
+                type.appendChild(badge);
+            }
 
             const details = document.createElement('div');
             details.className = 'object-details';
@@ -298,6 +505,8 @@ class CircuitPatternApp {
 
             const buttonGroup = document.createElement('div');
             buttonGroup.style.display = 'flex';
+            buttonGroup.style.flexWrap = 'wrap';
+            buttonGroup.style.justifyContent = 'flex-end';
             buttonGroup.style.gap = '8px';
 
             // Add Edit button for text objects
@@ -312,6 +521,26 @@ class CircuitPatternApp {
                 buttonGroup.appendChild(editBtn);
             }
 
+            const settingsBtn = document.createElement('button');
+            settingsBtn.className = 'btn-edit-object';
+            settingsBtn.textContent = 'Settings';
+            settingsBtn.title = 'Pattern settings for this object';
+            settingsBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.openObjectSettings(obj);
+            });
+            buttonGroup.appendChild(settingsBtn);
+
+            const keepOutBtn = document.createElement('button');
+            keepOutBtn.className = `btn-keepout-object ${obj.keepOut ? 'active' : ''}`;
+            keepOutBtn.textContent = obj.keepOut ? 'Fill' : 'Keep-out';
+            keepOutBtn.title = obj.keepOut ? 'Fill this object with pattern' : 'Keep this object free of pattern';
+            keepOutBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleKeepOut(obj.id);
+            });
+            buttonGroup.appendChild(keepOutBtn);
+
             const removeBtn = document.createElement('button');
             removeBtn.className = 'btn-remove-object';
             removeBtn.textContent = 'Remove';
@@ -355,8 +584,33 @@ class CircuitPatternApp {
     handleMouseDown(e) {
         const pos = this.getMousePos(e);
 
-        // Check if clicking on gradient handle
+        // Each click adds a point to the manual trace (the second click of a double click finishes it)
+        if (this.isDrawingTrace) {
+            if (e.detail < 2) {
+                this.addTracePoint(pos);
+            }
+            e.preventDefault();
+            return;
+        }
+
+        // A drag or click picks the region to re-roll
+        if (this.isSelectingRegion) {
+            this.regionSelection = { start: pos, end: pos };
+            this.renderRegionSelection();
+            e.preventDefault();
+            return;
+        }
+
+        // Check if clicking on the symmetry centre
         const target = e.target;
+        if (target && target.classList && target.classList.contains('symmetry-handle')) {
+            this.isDraggingSymmetry = true;
+            e.stopPropagation();
+            e.preventDefault();
+            return;
+        }
+
+        // Check if clicking on gradient handle
         if (target && target.classList && target.classList.contains('gradient-handle')) {
             this.isDraggingGradient = true;
             this.draggingGradientHandle = target.getAttribute('data-handle'); // 'start' or 'end'
@@ -365,6 +619,20 @@ class CircuitPatternApp {
             return;
         }
 
+        // Trace editing: drag a point of the selected trace, or select the trace under the pointer
+        if (this.isEditingTraces) {
+            if (target && target.classList && target.classList.contains('trace-handle')) {
+                this.draggingTracePoint = parseInt(target.getAttribute('data-point'));
+            } else {
+                this.selectedTrace = this.findTraceAt(pos);
+                this.updateTraceTools();
+                this.updateTracesList();
+                this.renderTraceHandles();
+            }
+            e.preventDefault();
+            return;
+        }
+
         // Check if clicking on text resize handle
         if (this.currentObject && this.currentObject.type === 'text') {
             const target = e.target;
@@ -425,6 +693,30 @@ class CircuitPatternApp {
     handleMouseMove(e) {
         const pos = this.getMousePos(e);
 
+        if (this.regionSelection) {
+            this.regionSelection.end = pos;
+            this.renderRegionSelection();
+            return;
+        }
+
+        if (this.draggingTracePoint !== null) {
+            this.moveTracePoint(pos);
+            return;
+        }
+
+        if (this.traceDraft) {
+            this.traceDraft.cursor = this.snapTracePoint(pos);
+            this.renderTraceDraft();
+            return;
+        }
+
+        if (this.isDraggingSymmetry) {
+            // The centre applies to the next generation
+            this.symmetryCenter = { x: pos.x, y: pos.y };
+            this.renderSymmetryHandle();
+            return;
+        }
+
         if (this.isDraggingGradient) {
             // Update gradient point position
             if (this.draggingGradientHandle === 'start') {
@@ -516,11 +808,22 @@ class CircuitPatternApp {
         this.isResizing = false;
         this.isMoving = false;
         this.isDraggingGradient = false;
+        this.isDraggingSymmetry = false;
+        if (this.draggingTracePoint !== null) {
+            this.finishTraceDrag();
+        }
+        this.draggingTracePoint = null;
         this.dragStart = null;
         this.resizeStart = null;
         this.moveStart = null;
         this.draggingGradientHandle = null;
 
+        if (this.regionSelection) {
+            const selection = this.regionSelection;
+            this.regionSelection = null;
+            this.selectRegion(selection);
+        }
+
         if (this.currentObject && this.currentObject.type === 'freehand' && this.currentObject.data.points.length > 0) {
             // Close the path if it has enough points
             if (this.currentObject.data.points.length >= 3) {
@@ -531,6 +834,10 @@ class CircuitPatternApp {
     }
 
     handleDoubleClick(e) {
+        if (this.isDrawingTrace) {
+            this.finishTrace();
+            return;
+        }
         if (this.currentObject && this.currentObject.type === 'text') {
             this.openTextEditor(this.currentObject);
         }
@@ -567,6 +874,68 @@ class CircuitPatternApp {
         this.closeTextEditor();
     }
 
+    openObjectSettings(obj) {
+        const overrides = obj.overrides || {};
+        const valueOf = (key) => (overrides[key] !== undefined ? overrides[key] : '');
+        this.editingSettingsObject = obj;
+        document.getElementById('objDensity').value = valueOf('density');
+        document.getElementById('objPatternScale').value = valueOf('patternScale');
+        document.getElementById('objLineThickness').value = valueOf('lineThickness');
+        document.getElementById('objCircleRadius').value = valueOf('circleRadius');
+        document.getElementById('objStyle').value = valueOf('style');
+        document.getElementById('objLineColorOverride').checked = overrides.lineColor !== undefined;
+        document.getElementById('objLineColor').value = overrides.lineColor || document.getElementById('lineColor').value;
+        document.getElementById('objectSettingsModal').classList.add('show');
+    }
+
+    closeObjectSettings() {
+        document.getElementById('objectSettingsModal').classList.remove('show');
+        this.editingSettingsObject = null;
+    }
+
+    saveObjectSettings() {
+        if (!this.editingSettingsObject) return;
+
+        const number = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return isNaN(value) ? undefined : value;
+        };
+        this.editingSettingsObject.overrides = this.patternGenerator.normalizeOverrides({
+            density: number('objDensity'),
+            patternScale: number('objPatternScale'),
+            lineThickness: number('objLineThickness'),
+            circleRadius: number('objCircleRadius'),
+            style: document.getElementById('objStyle').value,
+            lineColor: document.getElementById('objLineColorOverride').checked
+                ? document.getElementById('objLineColor').value
+                : undefined
+        });
+
+        this.renderObjects();
+        this.updateObjectsList();
+        this.closeObjectSettings();
+    }
+
+    hasOverrides(obj) {
+        return Object.keys(this.patternGenerator.normalizeOverrides(obj.overrides)).length > 0;
+    }
+
+    /**
+     * Short summary of an object's overrides, e.g. "density 3, scale 1.2"
+     */
+    describeOverrides(obj) {
+        const labels = {
+            density: 'density',
+            patternScale: 'scale',
+            lineThickness: 'thickness',
+            circleRadius: 'radius',
+            style: 'style',
+            lineColor: 'color'
+        };
+        const overrides = this.patternGenerator.normalizeOverrides(obj.overrides);
+        return Object.keys(overrides).map(key => `${labels[key]} ${overrides[key]}`).join(', ');
+    }
+
     renderObjects() {
         // Clear objects layer
         while (this.objectsLayer.firstChild) {
@@ -585,6 +954,12 @@ class CircuitPatternApp {
                     element.setAttribute('stroke-width', '2');
                     element.setAttribute('stroke-opacity', '0.5');
                 }
+                if (obj.keepOut) {
+                    element.setAttribute('stroke-dasharray', '6 4');
+                    if (obj.type !== 'text') {
+                        element.setAttribute('fill', 'url(#keepOutHatch)');
+                    }
+                }
                 this.objectsLayer.appendChild(element);
                 obj.svgElement = element;
             }
@@ -633,9 +1008,9 @@ class CircuitPatternApp {
                 }
 
                 // Use line color with 30% opacity for text display
-                const lineColor = document.getElementById('lineColor').value;
+                const lineColor = (obj.overrides && obj.overrides.lineColor) || document.getElementById('lineColor').value;
                 const rgb = this.hexToRgb(lineColor);
-                const fillColor = `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.3)`;
+                const fillColor = obj.keepOut ? 'url(#keepOutHatch)' : `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.3)`;
                 text.setAttribute('fill', fillColor);
 
                 const strokeWidth = obj.data.strokeWidth || 1;
@@ -792,11 +1167,148 @@ class CircuitPatternApp {
     }
 
     generatePattern() {
-        if (this.objects.length === 0) {
+        // A seamless tile fills the whole canvas, so it needs no objects
+        const tileable = document.getElementById('tileable').checked;
+        if (this.objects.length === 0 && !tileable) {
             alert('Please add at least one object first!');
             return;
         }
 
+        // Locked and manual traces of the finished pattern (not of a running generation) are kept
+        this.cancelGeneration();
+        const manualTraces = this.getManualTraces();
+        const lockedSegments = this.currentPattern && this.currentPattern.rawSegments
+            ? this.currentPattern.rawSegments.filter(segment => segment.locked && !segment.manual)
+            : [];
+
+        const options = this.getGenerationOptions();
+        const groups = this.createMaskGroups(tileable);
+        if (!groups) return;
+
+        // Generate pattern using the masks (in a worker when possible)
+        this.runGeneration(groups, { ...options, lockedSegments, obstacles: manualTraces }).then(pattern => {
+            // Cancelled runs resolve with null
+            if (!pattern) return;
+
+            // Show the seed that was used so the design can be reproduced
+            document.getElementById('patternSeed').value = pattern.seed;
+            this.showPattern(this.addManualTraces(pattern, manualTraces));
+        });
+    }
+
+    /**
+     * Regenerate the traces in a region only, keeping the rest of the current pattern.
+     * The region gets a fresh seed; the pattern and the seed field keep the seed of the
+     * full pattern, and pattern.rerolls lists the re-rolls ({ seed, region }) made since,
+     * as that seed alone no longer reproduces the pattern
+     * @param {Object} region - { x, y, width, height } rectangle, or a MaskBitmap of an object
+     */
+    rerollRegion(region) {
+        // A running generation only shows a partial pattern; go back to the finished one
+        this.cancelGeneration();
+        if (!this.currentPattern || !this.currentPattern.rawSegments) {
+            alert('Generate a pattern first!');
+            return;
+        }
+
+        const options = this.getGenerationOptions();
+        const groups = this.createMaskGroups(options.tileable);
+        if (!groups) return;
+
+        const manualTraces = this.getManualTraces();
+        const { seed, rerolls = [] } = this.currentPattern;
+        const regionSeed = this.patternGenerator.createSeed();
+        this.runGeneration(groups, {
+            ...options,
+            seed: regionSeed,
+            obstacles: manualTraces,
+            reroll: {
+                segments: this.currentPattern.rawSegments.filter(segment => !segment.manual),
+                footprints: this.currentPattern.footprints,
+                region
+            }
+        }).then(pattern => {
+            if (pattern) {
+                // An object's region is a mask bitmap, too big to keep
+                pattern.seed = seed;
+                pattern.rerolls = rerolls.concat({ seed: regionSeed, region: region instanceof MaskBitmap ? 'object' : region });
+                this.showPattern(this.addManualTraces(pattern, manualTraces));
+            }
+        });
+    }
+
+    /**
+     * Turn region picking for a re-roll on or off
+     */
+    setRegionSelecting(selecting) {
+        if (selecting) {
+            this.setTraceTool(false);
+        }
+        this.isSelectingRegion = selecting;
+        document.getElementById('rerollRegionBtn').textContent = selecting ? 'Cancel Re-roll' : 'Re-roll Region';
+        if (!selecting) {
+            this.regionSelection = null;
+            this.renderRegionSelection();
+        }
+    }
+
+    /**
+     * Re-roll the dragged rectangle, or the topmost object under a click
+     * @param {Object} selection - { start, end } in canvas pixels
+     */
+    selectRegion(selection) {
+        const { start, end } = selection;
+        this.setRegionSelecting(false);
+
+        let region = {
+            x: Math.min(start.x, end.x),
+            y: Math.min(start.y, end.y),
+            width: Math.abs(end.x - start.x),
+            height: Math.abs(end.y - start.y)
+        };
+        if (region.width < 4 && region.height < 4) {
+            region = null;
+            for (let i = this.objects.length - 1; i >= 0 && !region; i--) {
+                const mask = this.createObjectMask(this.objects[i]);
+                if (mask && mask.has(end.x, end.y)) {
+                    region = mask;
+                }
+            }
+            if (!region) return;
+        }
+
+        this.rerollRegion(region);
+    }
+
+    /**
+     * Draw the rectangle being dragged for a re-roll
+     */
+    renderRegionSelection() {
+        const existing = this.canvas.querySelector('#regionSelection');
+        if (existing) {
+            this.canvas.removeChild(existing);
+        }
+        if (!this.regionSelection) return;
+
+        const { start, end } = this.regionSelection;
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('id', 'regionSelection');
+        rect.setAttribute('x', Math.min(start.x, end.x));
+        rect.setAttribute('y', Math.min(start.y, end.y));
+        rect.setAttribute('width', Math.abs(end.x - start.x));
+        rect.setAttribute('height', Math.abs(end.y - start.y));
+        rect.setAttribute('fill', 'rgba(255, 96, 31, 0.15)');
+        rect.setAttribute('stroke', '#ff601f');
+        rect.setAttribute('stroke-width', '1');
+        rect.setAttribute('stroke-dasharray', '5,5');
+        rect.setAttribute('pointer-events', 'none');
+        this.canvas.appendChild(rect);
+    }
+
+    /**
+     * Read the generation options from the controls
+     */
+    getGenerationOptions() {
         const gradientType = document.getElementById('lineGradientType').value;
 
         // Initialize gradient points if needed
@@ -812,32 +1324,82 @@ class CircuitPatternApp {
             }
         }
 
-        const options = {
+        return {
             density: parseInt(document.getElementById('patternDensity').value),
             lineLengthMin: parseInt(document.getElementById('lineLengthMin').value),
             lineLengthMax: parseInt(document.getElementById('lineLengthMax').value),
             lineThickness: parseInt(document.getElementById('lineThickness').value),
             circleRadius: parseInt(document.getElementById('circleRadius').value),
+            edgeClearance: parseInt(document.getElementById('edgeClearance').value),
+            forkRadius: parseFloat(document.getElementById('forkRadius').value),
+            cleanup: document.getElementById('cleanup').checked,
+            padStyle: document.getElementById('padStyle').value,
+            padMix: document.getElementById('padMix').value,
+            busFrequency: parseInt(document.getElementById('busFrequency').value) / 100,
+            busWidth: parseInt(document.getElementById('busWidth').value),
+            busPitch: parseInt(document.getElementById('busPitch').value),
+            cornerStyle: document.getElementById('cornerStyle').value,
+            cornerSize: parseInt(document.getElementById('cornerSize').value),
             style: document.getElementById('patternStyle').value,
+            branchProbability: parseInt(document.getElementById('branchProbability').value) / 100,
+            maxDepth: parseInt(document.getElementById('maxDepth').value),
+            ...this.parseAngleWeights(document.getElementById('angleWeights').value),
+            contourRings: parseInt(document.getElementById('contourRings').value),
+            contourSpacing: parseInt(document.getElementById('contourSpacing').value),
+            contourFill: document.getElementById('contourFill').checked,
+            densityMap: this.getDensityMap(),
+            targetCoverage: parseInt(document.getElementById('targetCoverage').value) / 100,
+            maxAttempts: parseInt(document.getElementById('maxAttempts').value) || 0,
+            tileable: document.getElementById('tileable').checked,
+            symmetry: document.getElementById('symmetry').value,
+            symmetryOrder: parseInt(document.getElementById('symmetryOrder').value) || 2,
+            symmetryCenter: this.getSymmetryCenter(),
+            footprintCount: parseInt(document.getElementById('footprintCount').value),
+            footprintTypes: Array.from(document.querySelectorAll('.footprint-type:checked')).map(input => input.value),
+            footprintSize: parseFloat(document.getElementById('footprintSize').value),
             lineColor: document.getElementById('lineColor').value,
             gradientType: gradientType,
             gradientColor: document.getElementById('lineGradientColor').value,
             gradientStartPoint: this.gradientStartPoint,
             gradientEndPoint: this.gradientEndPoint,
-            patternScale: parseFloat(document.getElementById('patternScale').value)
+            patternScale: parseFloat(document.getElementById('patternScale').value),
+            seed: document.getElementById('patternSeed').value
         };
+    }
 
-        // Create a rasterized mask of all objects
-        const maskCanvas = this.createRasterizedMask();
+    /**
+     * Create a rasterized mask per settings group (objects with the same overrides);
+     * a tile is one group covering the whole canvas
+     * @returns {Array|null} - [{ mask, overrides }], or null when there is nothing to fill
+     */
+    createMaskGroups(tileable) {
+        const groups = [];
+        if (tileable) {
+            groups.push({ mask: MaskBitmap.fromCanvas(this.createTileMask()), overrides: {} });
+        }
+        (tileable ? [] : this.patternGenerator.groupObjectsBySettings(this.objects)).forEach(group => {
+            const maskCanvas = this.createRasterizedMask(group.objects);
+            if (maskCanvas) {
+                groups.push({ mask: MaskBitmap.fromCanvas(maskCanvas), overrides: group.overrides });
+            }
+        });
 
-        if (!maskCanvas) {
+        if (groups.length === 0) {
             alert('No valid shapes to generate pattern for!');
-            return;
+            return null;
         }
+        return groups;
+    }
 
-        // Generate pattern using the mask
-        const pattern = this.patternGenerator.generateWithMask(maskCanvas, options);
+    /**
+     * Make a finished pattern the current one and draw it
+     */
+    showPattern(pattern) {
         this.currentPattern = pattern;
+        this.selectedTrace = null;
+        this.updateTraceTools();
+        this.updateTracesList();
+        this.showPatternStats(pattern.stats);
 
         // Store gradient points in pattern
         if (this.gradientStartPoint && this.gradientEndPoint) {
@@ -849,6 +1411,211 @@ class CircuitPatternApp {
         this.renderPattern();
     }
 
+    /**
+     * Run generateGroups in a Web Worker, rendering partial results as they arrive.
+     * Falls back to the main thread when workers are unavailable (e.g. opened from file://).
+     * @param {Array} groups - [{ mask, overrides }], one MaskBitmap per settings group
+     * @returns {Promise<Object|null>} - The pattern, or null if the run was cancelled
+     */
+    runGeneration(groups, options) {
+        this.cancelGeneration();
+
+        return new Promise(resolve => {
+            let worker;
+            try {
+                worker = new Worker('pattern-worker.js');
+            } catch (e) {
+                resolve(this.generateInMainThread(groups, options));
+                return;
+            }
+
+            this.generation = { worker, resolve, previousPattern: this.currentPattern };
+            this.updateGenerationProgress(0, 0, 0);
+
+            worker.addEventListener('message', (e) => {
+                const message = e.data;
+                if (message.type === 'progress') {
+                    this.updateGenerationProgress(message.tested, message.total, message.placed);
+                    if (message.pattern) {
+                        this.currentPattern = message.pattern;
+                        this.renderPattern();
+                    }
+                } else if (message.type === 'done') {
+                    this.finishGeneration();
+                    resolve(message.pattern);
+                } else if (message.type === 'error') {
+                    this.finishGeneration();
+                    alert(`Pattern generation failed: ${message.message}`);
+                    resolve(null);
+                }
+            });
+
+            worker.addEventListener('error', (e) => {
+                // The worker catches generation errors, so this is its script failing to load - generate on the main thread instead
+                e.preventDefault();
+                this.finishGeneration();
+                resolve(this.generateInMainThread(groups, options));
+            });
+
+            worker.postMessage({
+                type: 'generate',
+                groups: groups.map(group => ({
+                    width: group.mask.width,
+                    height: group.mask.height,
+                    maskData: group.mask.data,
+                    overrides: group.overrides
+                })),
+                options
+            });
+        });
+    }
+
+    /**
+     * Generate without a worker (when the worker script cannot be loaded)
+     * @returns {Object|null} - The pattern, or null after telling the user it failed
+     */
+    generateInMainThread(groups, options) {
+        try {
+            return this.patternGenerator.generateGroups(groups, options);
+        } catch (error) {
+            alert(`Pattern generation failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    cancelGeneration() {
+        if (!this.generation) return;
+
+        const { worker, resolve, previousPattern } = this.generation;
+        worker.terminate();
+        this.finishGeneration();
+
+        // Put back the pattern that was shown before the cancelled run
+        this.currentPattern = previousPattern;
+        if (this.currentPattern) {
+            this.renderPattern();
+        } else {
+            while (this.patternLayer.firstChild) {
+                this.patternLayer.removeChild(this.patternLayer.firstChild);
+            }
+            this.renderTraceHandles();
+        }
+        resolve(null);
+    }
+
+    finishGeneration() {
+        if (this.generation) {
+            this.generation.worker.terminate();
+            this.generation = null;
+        }
+        document.getElementById('generationProgress').style.display = 'none';
+    }
+
+    updateGenerationProgress(tested, total, placed) {
+        document.getElementById('generationProgress').style.display = 'flex';
+        const bar = document.getElementById('generationProgressBar');
+        bar.max = Math.max(1, total);
+        bar.value = tested;
+        document.getElementById('generationProgressText').textContent =
+            `${tested} / ${total} candidates tested, ${placed} segments placed`;
+    }
+
+    /**
+     * Show the statistics of the last finished run under the controls
+     * @param {Object|null} stats - pattern.stats, or null to hide the panel
+     */
+    showPatternStats(stats) {
+        const panel = document.getElementById('patternStats');
+        if (!stats) {
+            panel.style.display = 'none';
+            return;
+        }
+        panel.style.display = 'block';
+        panel.textContent = `${stats.segments} segments, ${Math.round(stats.traceLength)} px of trace, ` +
+            `${stats.pads} pads, ${stats.forks} forks, ${(stats.coverage * 100).toFixed(1)}% coverage`;
+        if (stats.cleanup) {
+            const { merged, stubs, forks } = stats.cleanup;
+            panel.textContent += ` (cleanup: ${merged} joined, ${stubs} stubs dropped, ${forks} forks without pad)`;
+        }
+        if (this.selectedTrace && this.selectedTrace.conflict) {
+            panel.textContent += `; the edited trace ${this.selectedTrace.conflict}`;
+        }
+        const rerolls = this.currentPattern && this.currentPattern.rerolls;
+        if (rerolls) {
+            panel.textContent += `; ${rerolls.length} region re-roll${rerolls.length === 1 ? '' : 's'}, so the seed alone no longer reproduces it`;
+        }
+    }
+
+    rerollSeed() {
+        document.getElementById('patternSeed').value = this.patternGenerator.createSeed();
+        // A seamless tile needs no objects, as in generatePattern
+        if (this.objects.length > 0 || document.getElementById('tileable').checked) {
+            this.generatePattern();
+        }
+    }
+
+    /**
+     * Parse "angle:weight" pairs (weight defaults to 1), e.g. "0:5, 45, 90:3"
+     * @returns {Object} - { angles, angleWeights } for generateWithMask
+     */
+    parseAngleWeights(text) {
+        const angles = [];
+        const angleWeights = [];
+        text.split(/[,;\s]+/).forEach(entry => {
+            if (!entry) return;
+            const [angle, weight = '1'] = entry.split(':');
+            if (isNaN(parseFloat(angle)) || isNaN(parseFloat(weight))) return;
+            angles.push(parseFloat(angle));
+            angleWeights.push(parseFloat(weight));
+        });
+        return { angles, angleWeights };
+    }
+
+    /**
+     * Read an image file into this.densityImage, downsampled to the canvas size
+     */
+    loadDensityImage(file) {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            const canvasWidth = parseFloat(this.canvas.getAttribute('width'));
+            const canvasHeight = parseFloat(this.canvas.getAttribute('height'));
+            const scale = Math.min(1, canvasWidth / image.width, canvasHeight / image.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(image.width * scale));
+            canvas.height = Math.max(1, Math.round(image.height * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+            this.densityImage = DensityMap.fromImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+            URL.revokeObjectURL(url);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            alert('Could not load the density image.');
+        };
+        image.src = url;
+    }
+
+    /**
+     * Density map selected in the controls, or null for uniform density
+     * @returns {DensityMap|null}
+     */
+    getDensityMap() {
+        const type = document.getElementById('densityMapType').value;
+        let map = null;
+        if (type === 'image') {
+            map = this.densityImage;
+        } else if (type !== 'none') {
+            map = DensityMap.fromPreset(type,
+                parseFloat(this.canvas.getAttribute('width')),
+                parseFloat(this.canvas.getAttribute('height')));
+        }
+        if (map && document.getElementById('densityMapInvert').checked) {
+            map = map.invert();
+        }
+        return map;
+    }
+
     getShapeDataForPattern(obj) {
         switch (obj.type) {
             case 'freehand':
@@ -909,7 +1676,13 @@ class CircuitPatternApp {
         };
     }
 
-    createRasterizedMask() {
+    /**
+     * Rasterize objects into a mask canvas, black inside
+     * @param {Array} group - Objects of one settings group (all objects when omitted);
+     *   objects outside it are painted white, so the topmost object owns each pixel
+     * @returns {HTMLCanvasElement|null} - Null when no group object was drawn
+     */
+    createRasterizedMask(group = null) {
         // Create a canvas to rasterize all objects as a mask
         const canvasWidth = parseFloat(this.canvas.getAttribute('width'));
         const canvasHeight = parseFloat(this.canvas.getAttribute('height'));
@@ -929,68 +1702,14 @@ class CircuitPatternApp {
 
         let hasObjects = false;
 
-        // Rasterize each object
+        // Rasterize each object in stacking order
         this.objects.forEach(obj => {
-            switch (obj.type) {
-                case 'freehand':
-                    if (obj.data.points.length < 3) return;
-                    ctx.beginPath();
-                    ctx.moveTo(obj.data.points[0].x, obj.data.points[0].y);
-                    for (let i = 1; i < obj.data.points.length; i++) {
-                        ctx.lineTo(obj.data.points[i].x, obj.data.points[i].y);
-                    }
-                    ctx.closePath();
-                    ctx.fill();
-                    hasObjects = true;
-                    break;
-
-                case 'text':
-                    // Render text with full fill and stroke
-                    const scaleX = obj.data.scaleX || 1;
-                    const scaleY = obj.data.scaleY || 1;
-                    const fontWeight = obj.data.fontWeight || '400';
-                    const fontSize = obj.data.fontSize;
-                    const fontFamily = obj.data.fontFamily || 'Inter';
-                    const strokeWidth = obj.data.strokeWidth || 0;
-                    const letterSpacing = obj.data.letterSpacing || 0;
-
-                    let cssWeight = fontWeight;
-                    if (typeof fontWeight === 'number' || !isNaN(parseInt(fontWeight))) {
-                        cssWeight = parseInt(fontWeight);
-                    }
-
-                    ctx.font = `${cssWeight} ${fontSize}px ${fontFamily}`;
-                    ctx.textAlign = 'center';
-                    ctx.textBaseline = 'middle';
-                    ctx.letterSpacing = `${letterSpacing}px`;
-
-                    // Apply transform: translate(x,y) scale(sx,sy) translate(-x,-y)
-                    ctx.save();
-                    ctx.translate(obj.data.x, obj.data.y);
-                    ctx.scale(scaleX, scaleY);
-                    ctx.translate(-obj.data.x, -obj.data.y);
-
-                    // Draw stroke first (if any), then fill
-                    if (strokeWidth > 0) {
-                        ctx.lineWidth = strokeWidth;
-                        ctx.strokeText(obj.data.text, obj.data.x, obj.data.y);
-                    }
-                    ctx.fillText(obj.data.text, obj.data.x, obj.data.y);
-                    ctx.restore();
-                    hasObjects = true;
-                    break;
-
-                case 'ellipse':
-                    ctx.beginPath();
-                    ctx.ellipse(obj.data.cx, obj.data.cy, Math.max(1, obj.data.rx), Math.max(1, obj.data.ry), 0, 0, 2 * Math.PI);
-                    ctx.fill();
-                    hasObjects = true;
-                    break;
-
-                case 'rectangle':
-                    ctx.fillRect(obj.data.x, obj.data.y, Math.max(1, obj.data.width), Math.max(1, obj.data.height));
-                    hasObjects = true;
-                    break;
+            if (obj.keepOut) return;
+            const inGroup = !group || group.includes(obj);
+            ctx.fillStyle = inGroup ? 'black' : 'white';
+            ctx.strokeStyle = inGroup ? 'black' : 'white';
+            if (this.drawMaskObject(ctx, obj) && inGroup) {
+                hasObjects = true;
             }
         });
 
@@ -998,9 +1717,140 @@ class CircuitPatternApp {
             return null;
         }
 
+        this.cutKeepOuts(ctx);
         return maskCanvas;
     }
 
+    /**
+     * Bitmap of a single object (inside where it is drawn), used as a re-roll region
+     * @returns {MaskBitmap|null} - Null when the object draws nothing
+     */
+    createObjectMask(obj) {
+        const maskCanvas = document.createElement('canvas');
+        maskCanvas.width = parseFloat(this.canvas.getAttribute('width'));
+        maskCanvas.height = parseFloat(this.canvas.getAttribute('height'));
+        const ctx = maskCanvas.getContext('2d', { willReadFrequently: true });
+
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
+        ctx.fillStyle = 'black';
+        ctx.strokeStyle = 'black';
+        return this.drawMaskObject(ctx, obj) ? MaskBitmap.fromCanvas(maskCanvas) : null;
+    }
+
+    /**
+     * Mask for a seamless tile: the whole canvas, minus the keep-outs
+     * wrapped around the edges
+     */
+    createTileMask() {
+        const maskCanvas = document.createElement('canvas');
+        maskCanvas.width = parseFloat(this.canvas.getAttribute('width'));
+        maskCanvas.height = parseFloat(this.canvas.getAttribute('height'));
+        const ctx = maskCanvas.getContext('2d', { willReadFrequently: true });
+
+        ctx.fillStyle = 'black';
+        ctx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
+        this.cutKeepOuts(ctx, true);
+        return maskCanvas;
+    }
+
+    /**
+     * Cut keep-outs, grown by the clearance, out of a finished mask. On a tile
+     * they are also drawn one tile away in every direction
+     */
+    cutKeepOuts(ctx, wrap = false) {
+        const clearance = parseInt(document.getElementById('keepOutClearance').value);
+        const offsets = wrap ? [-1, 0, 1] : [0];
+        ctx.fillStyle = 'white';
+        ctx.strokeStyle = 'white';
+        ctx.lineJoin = 'round';
+        this.objects.forEach(obj => {
+            if (!obj.keepOut) return;
+            offsets.forEach(tx => offsets.forEach(ty => {
+                ctx.save();
+                ctx.translate(tx * ctx.canvas.width, ty * ctx.canvas.height);
+                this.drawMaskObject(ctx, obj, clearance * 2);
+                ctx.restore();
+            }));
+        });
+    }
+
+    /**
+     * Fill one object into a mask canvas with the current fill and stroke style
+     * @param {number} grow - Extra outline width around the shape (twice the clearance)
+     * @returns {boolean} - Whether anything was drawn
+     */
+    drawMaskObject(ctx, obj, grow = 0) {
+        switch (obj.type) {
+            case 'freehand':
+                if (obj.data.points.length < 3) return false;
+                ctx.beginPath();
+                ctx.moveTo(obj.data.points[0].x, obj.data.points[0].y);
+                for (let i = 1; i < obj.data.points.length; i++) {
+                    ctx.lineTo(obj.data.points[i].x, obj.data.points[i].y);
+                }
+                ctx.closePath();
+                break;
+
+            case 'text': {
+                // Render text with full fill and stroke
+                const scaleX = obj.data.scaleX || 1;
+                const scaleY = obj.data.scaleY || 1;
+                const fontWeight = obj.data.fontWeight || '400';
+                const fontSize = obj.data.fontSize;
+                const fontFamily = obj.data.fontFamily || 'Inter';
+                const strokeWidth = obj.data.strokeWidth || 0;
+                const letterSpacing = obj.data.letterSpacing || 0;
+
+                let cssWeight = fontWeight;
+                if (typeof fontWeight === 'number' || !isNaN(parseInt(fontWeight))) {
+                    cssWeight = parseInt(fontWeight);
+                }
+
+                ctx.font = `${cssWeight} ${fontSize}px ${fontFamily}`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.letterSpacing = `${letterSpacing}px`;
+
+                // Apply transform: translate(x,y) scale(sx,sy) translate(-x,-y)
+                ctx.save();
+                ctx.translate(obj.data.x, obj.data.y);
+                ctx.scale(scaleX, scaleY);
+                ctx.translate(-obj.data.x, -obj.data.y);
+
+                // Draw stroke first (if any), then fill; the growth is undone by the scale
+                const lineWidth = strokeWidth + grow / Math.sqrt(scaleX * scaleY);
+                if (lineWidth > 0) {
+                    ctx.lineWidth = lineWidth;
+                    ctx.strokeText(obj.data.text, obj.data.x, obj.data.y);
+                }
+                ctx.fillText(obj.data.text, obj.data.x, obj.data.y);
+                ctx.restore();
+                return true;
+            }
+
+            case 'ellipse':
+                ctx.beginPath();
+                ctx.ellipse(obj.data.cx, obj.data.cy, Math.max(1, obj.data.rx), Math.max(1, obj.data.ry), 0, 0, 2 * Math.PI);
+                break;
+
+            case 'rectangle':
+                ctx.beginPath();
+                ctx.rect(obj.data.x, obj.data.y, Math.max(1, obj.data.width), Math.max(1, obj.data.height));
+                break;
+
+            default:
+                return false;
+        }
+
+        ctx.fill();
+        if (grow > 0) {
+            ctx.lineWidth = grow;
+            ctx.stroke();
+        }
+        return true;
+    }
+
     createTextElementForPattern(obj) {
         // Create SVG text element with proper transform for pattern generation
         const textGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -1153,6 +2003,486 @@ class CircuitPatternApp {
             this.currentPattern.gradientType !== 'none') {
             this.renderGradientHandles();
         }
+
+        this.renderTraceHandles();
+    }
+
+    /**
+     * Turn trace editing on or off. While it is on, clicks select traces and pads
+     * instead of objects
+     */
+    setTraceEditing(editing) {
+        if (editing) {
+            this.setTraceTool(false);
+        }
+        this.isEditingTraces = editing;
+        this.selectedTrace = null;
+        this.draggingTracePoint = null;
+        document.getElementById('editTracesBtn').textContent = editing ? 'Done Editing' : 'Edit Traces';
+        this.updateTraceTools();
+        this.updateTracesList();
+        this.renderTraceHandles();
+    }
+
+    updateTraceTools() {
+        const selected = this.getSelectedTrace();
+        const deleteBtn = document.getElementById('deleteTraceBtn');
+        const lockBtn = document.getElementById('lockTraceBtn');
+        deleteBtn.style.display = this.isEditingTraces ? '' : 'none';
+        lockBtn.style.display = this.isEditingTraces ? '' : 'none';
+        deleteBtn.disabled = !selected;
+        lockBtn.disabled = !selected;
+        lockBtn.textContent = selected && selected.locked ? 'Unlock Trace' : 'Lock Trace';
+    }
+
+    /**
+     * The selected trace in currentPattern.rawSegments (canvas pixels), or null.
+     * Nothing is selected while a generation runs
+     */
+    getSelectedTrace() {
+        if (!this.selectedTrace || this.generation || !this.currentPattern || !this.currentPattern.rawSegments) {
+            return null;
+        }
+        return this.currentPattern.rawSegments[this.selectedTrace.index] || null;
+    }
+
+    /**
+     * Matrices from a trace to everywhere it is shown: the trace itself, then every
+     * copy of a tile or a symmetric pattern
+     */
+    getTraceViews() {
+        return [[1, 0, 0, 1, 0, 0], ...this.patternGenerator.getRepeatMatrices(this.currentPattern)];
+    }
+
+    applyMatrix(m, point) {
+        return { x: m[0] * point.x + m[2] * point.y + m[4], y: m[1] * point.x + m[3] * point.y + m[5] };
+    }
+
+    invertMatrix(m) {
+        const det = m[0] * m[3] - m[1] * m[2];
+        return [
+            m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+            (m[2] * m[5] - m[3] * m[4]) / det, (m[1] * m[4] - m[0] * m[5]) / det
+        ];
+    }
+
+    /**
+     * Find the trace, or the pad at one of its ends, under a point (on the trace or any copy)
+     * @returns {Object|null} - { index, view } for this.selectedTrace
+     */
+    findTraceAt(pos) {
+        if (!this.currentPattern || !this.currentPattern.rawSegments) return null;
+
+        let found = null;
+        let nearest = Math.max(6, this.currentPattern.circleRadius + 2);
+        this.getTraceViews().forEach((m, view) => {
+            this.currentPattern.rawSegments.forEach((segment, index) => {
+                const points = segment.points.map(point => this.applyMatrix(m, point));
+                const distance = this.patternGenerator.pointToSegmentDistance(pos, { points });
+                if (distance <= nearest) {
+                    found = { index, view };
+                    nearest = distance;
+                }
+            });
+        });
+        return found;
+    }
+
+    /**
+     * Drag a point of the selected trace. The legs next to it snap to the allowed
+     * angles, and the pattern is rebuilt (once per frame) so pads and forks follow
+     */
+    moveTracePoint(pos) {
+        const segment = this.getSelectedTrace();
+        if (!segment) return;
+
+        // Edits are made on the trace itself, whichever copy is dragged
+        const view = this.getTraceViews()[this.selectedTrace.view];
+        const target = this.applyMatrix(this.invertMatrix(view), pos);
+        const angleSet = this.getAngleSet();
+
+        const points = segment.points.slice();
+        const i = this.draggingTracePoint;
+        const last = points.length - 1;
+        let point;
+        if (i === 0) {
+            point = this.patternGenerator.snapToAngles(points[1], target, angleSet);
+        } else if (i === last) {
+            point = this.patternGenerator.snapToAngles(points[last - 1], target, angleSet);
+        } else {
+            point = this.patternGenerator.snapBend(points[i - 1], points[i + 1], target, angleSet);
+        }
+
+        // A leg may not shrink to nothing
+        if ((i > 0 && this.patternGenerator.pointDistance(point, points[i - 1]) < 1) ||
+            (i < last && this.patternGenerator.pointDistance(point, points[i + 1]) < 1)) {
+            return;
+        }
+        points[i] = point;
+
+        let length = 0;
+        for (let k = 1; k < points.length; k++) {
+            length += this.patternGenerator.pointDistance(points[k - 1], points[k]);
+        }
+        Object.assign(segment, {
+            points,
+            start: points[0],
+            end: points[last],
+            angle: this.patternGenerator.getDirection(points[0], points[1]),
+            length
+        });
+
+        if (!this.traceUpdateFrame) {
+            this.traceUpdateFrame = requestAnimationFrame(() => this.updateEditedTrace());
+        }
+    }
+
+    /**
+     * Rebuild and redraw the pattern after its traces were edited
+     */
+    updateEditedTrace() {
+        cancelAnimationFrame(this.traceUpdateFrame);
+        this.traceUpdateFrame = null;
+        this.patternGenerator.rebuildPattern(this.currentPattern);
+        this.showPatternStats(this.currentPattern.stats);
+        this.updateTracesList();
+        this.renderPattern();
+    }
+
+    /**
+     * Finish dragging a trace point: apply the last move and flag the trace when it
+     * now runs into other traces, or a generated trace leaves the shapes.
+     * Editing skips the clearance checks of generation, so the drop is not refused
+     */
+    finishTraceDrag() {
+        const segment = this.getSelectedTrace();
+        if (!segment) return;
+
+        const pattern = this.currentPattern;
+        const problems = [];
+        const conflicts = this.patternGenerator.findTraceConflicts(pattern.rawSegments, this.selectedTrace.index,
+            this.patternGenerator.getRepeatMatrices(pattern), pattern.lineThickness, pattern.circleRadius);
+        if (conflicts.length > 0) {
+            problems.push(`runs into ${conflicts.length} other trace${conflicts.length === 1 ? '' : 's'}`);
+        }
+        // Manual traces may be drawn anywhere; a tile covers the whole canvas
+        const maskCanvas = segment.manual || pattern.tile ? null : this.createRasterizedMask();
+        if (maskCanvas && !this.patternGenerator.isSegmentInMask(segment, MaskBitmap.fromCanvas(maskCanvas), 1,
+            pattern.lineThickness / 2, pattern.circleRadius)) {
+            problems.push('leaves the shapes');
+        }
+        this.selectedTrace.conflict = problems.join(' and ') || null;
+        this.updateEditedTrace();
+    }
+
+    deleteSelectedTrace() {
+        if (!this.getSelectedTrace()) return;
+
+        this.currentPattern.rawSegments.splice(this.selectedTrace.index, 1);
+        this.selectedTrace = null;
+        this.patternGenerator.rebuildPattern(this.currentPattern);
+        this.showPatternStats(this.currentPattern.stats);
+        this.updateTraceTools();
+        this.updateTracesList();
+        this.renderPattern();
+    }
+
+    /**
+     * Lock or unlock the selected trace. Locked traces are kept by the next
+     * generation and by region re-rolls
+     */
+    toggleTraceLock() {
+        const segment = this.getSelectedTrace();
+        if (!segment) return;
+
+        if (segment.locked) {
+            delete segment.locked;
+        } else {
+            segment.locked = true;
+        }
+        this.updateTraceTools();
+        this.renderTraceHandles();
+    }
+
+    /**
+     * Outline locked traces and draw the selected trace with a handle on each of its points
+     */
+    renderTraceHandles() {
+        const existing = this.canvas.querySelector('#traceEditHandles');
+        if (existing) {
+            this.canvas.removeChild(existing);
+        }
+        if (!this.isEditingTraces || !this.currentPattern || !this.currentPattern.rawSegments) return;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const handleGroup = document.createElementNS(svgNS, 'g');
+        handleGroup.setAttribute('id', 'traceEditHandles');
+        const views = this.getTraceViews();
+        const outline = (points, stroke, width) => {
+            const line = document.createElementNS(svgNS, 'polyline');
+            line.setAttribute('points', points.map(point => `${point.x},${point.y}`).join(' '));
+            line.setAttribute('fill', 'none');
+            line.setAttribute('stroke', stroke);
+            line.setAttribute('stroke-width', width);
+            line.setAttribute('stroke-linejoin', 'round');
+            line.setAttribute('pointer-events', 'none');
+            handleGroup.appendChild(line);
+            return line;
+        };
+
+        this.currentPattern.rawSegments.forEach(segment => {
+            if (!segment.locked) return;
+            views.forEach(m => {
+                outline(segment.points.map(point => this.applyMatrix(m, point)), '#1fa2ff', 2)
+                    .setAttribute('stroke-dasharray', '4,3');
+            });
+        });
+
+        const selected = this.getSelectedTrace();
+        if (selected) {
+            const m = views[this.selectedTrace.view];
+            const points = selected.points.map(point => this.applyMatrix(m, point));
+            // A trace dropped onto others or outside the shapes is outlined in red
+            const stroke = this.selectedTrace.conflict ? '#dc3545' : '#ff601f';
+            outline(points, stroke, this.currentPattern.lineThickness + 6).setAttribute('opacity', '0.4');
+            points.forEach((point, i) => {
+                const handle = document.createElementNS(svgNS, 'circle');
+                handle.setAttribute('cx', point.x);
+                handle.setAttribute('cy', point.y);
+                handle.setAttribute('r', 6);
+                handle.setAttribute('fill', '#ff601f');
+                handle.setAttribute('stroke', 'white');
+                handle.setAttribute('stroke-width', '2');
+                handle.setAttribute('class', 'trace-handle');
+                handle.setAttribute('data-point', i);
+                handle.setAttribute('style', 'cursor: move;');
+                handleGroup.appendChild(handle);
+            });
+        }
+
+        this.canvas.appendChild(handleGroup);
+    }
+
+    /**
+     * The allowed trace angles from the angle weights field
+     */
+    getAngleSet() {
+        const { angles, angleWeights } = this.parseAngleWeights(document.getElementById('angleWeights').value);
+        return this.patternGenerator.createAngleSet(angles, angleWeights);
+    }
+
+    /**
+     * Turn the trace tool on or off. While it is on, each click adds a point to a
+     * manual trace; a double click or Enter finishes it and Escape drops it
+     */
+    setTraceTool(active) {
+        if (active) {
+            this.setRegionSelecting(false);
+            this.setTraceEditing(false);
+        }
+        this.isDrawingTrace = active;
+        this.traceDraft = null;
+        document.getElementById('traceToolBtn').classList.toggle('active', active);
+        this.renderTraceDraft();
+    }
+
+    /**
+     * Snap a point so the leg to it from the last point of the draft runs at an allowed angle
+     */
+    snapTracePoint(pos) {
+        if (!this.traceDraft) return pos;
+        const points = this.traceDraft.points;
+        return this.patternGenerator.snapToAngles(points[points.length - 1], pos, this.getAngleSet());
+    }
+
+    addTracePoint(pos) {
+        if (!this.traceDraft) {
+            this.traceDraft = { points: [pos], cursor: pos };
+        } else {
+            // Clicks on the last point add nothing
+            const points = this.traceDraft.points;
+            const point = this.snapTracePoint(pos);
+            if (this.patternGenerator.pointDistance(point, points[points.length - 1]) >= 1) {
+                points.push(point);
+            }
+            this.traceDraft.cursor = point;
+        }
+        this.renderTraceDraft();
+    }
+
+    /**
+     * Add the drawn trace to the current pattern (an empty one when nothing was
+     * generated yet) and rebuild it, so the trace gets pads like generated ones
+     */
+    finishTrace() {
+        const draft = this.traceDraft;
+        this.traceDraft = null;
+        this.renderTraceDraft();
+        if (!draft || draft.points.length < 2) return;
+
+        this.cancelGeneration();
+        if (!this.currentPattern) {
+            this.showPattern(this.createEmptyPattern());
+        }
+
+        const points = draft.points;
+        let length = 0;
+        for (let k = 1; k < points.length; k++) {
+            length += this.patternGenerator.pointDistance(points[k - 1], points[k]);
+        }
+        this.currentPattern.rawSegments.push({
+            start: points[0],
+            end: points[points.length - 1],
+            angle: this.patternGenerator.getDirection(points[0], points[1]),
+            length,
+            points,
+            manual: true
+        });
+
+        this.patternGenerator.rebuildPattern(this.currentPattern);
+        this.showPatternStats(this.currentPattern.stats);
+        this.updateTracesList();
+        this.renderPattern();
+    }
+
+    /**
+     * Pattern without generated traces, to hold manual traces drawn before the first generation
+     */
+    createEmptyPattern() {
+        const options = this.getGenerationOptions();
+        const patternScale = options.patternScale || 1;
+        return this.patternGenerator.assemblePattern([], {
+            patternScale,
+            lineThickness: options.lineThickness * patternScale,
+            circleRadius: options.circleRadius * patternScale,
+            lineColor: options.lineColor,
+            seed: options.seed,
+            options
+        });
+    }
+
+    /**
+     * Manual traces of the current pattern; generation keeps clear of them
+     */
+    getManualTraces() {
+        if (!this.currentPattern || !this.currentPattern.rawSegments) return [];
+        return this.currentPattern.rawSegments.filter(segment => segment.manual);
+    }
+
+    /**
+     * Put the manual traces into a newly generated pattern
+     */
+    addManualTraces(pattern, manualTraces) {
+        if (manualTraces.length > 0) {
+            pattern.rawSegments.push(...manualTraces);
+            this.patternGenerator.rebuildPattern(pattern);
+        }
+        return pattern;
+    }
+
+    removeManualTrace(segment) {
+        const index = this.currentPattern.rawSegments.indexOf(segment);
+        if (index === -1) return;
+
+        this.currentPattern.rawSegments.splice(index, 1);
+        this.selectedTrace = null;
+        this.patternGenerator.rebuildPattern(this.currentPattern);
+        this.showPatternStats(this.currentPattern.stats);
+        this.updateTraceTools();
+        this.updateTracesList();
+        this.renderPattern();
+    }
+
+    /**
+     * List the manual traces in the sidebar, apart from the objects
+     */
+    updateTracesList() {
+        const list = document.getElementById('tracesList');
+        list.innerHTML = '';
+        if (!this.currentPattern || !this.currentPattern.rawSegments) return;
+
+        this.currentPattern.rawSegments.forEach((segment, index) => {
+            if (!segment.manual) return;
+            const selected = this.getSelectedTrace() === segment;
+
+            const item = document.createElement('div');
+            item.className = `object-item ${selected ? 'active' : ''}`;
+
+            const info = document.createElement('div');
+            info.className = 'object-info';
+
+            const type = document.createElement('div');
+            type.className = 'object-type';
+            type.textContent = `trace ${list.children.length + 1}`;
+
+            const details = document.createElement('div');
+            details.className = 'object-details';
+            details.textContent = `${segment.points.length} points, ${Math.round(segment.length)}px`;
+
+            info.appendChild(type);
+            info.appendChild(details);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn-remove-object';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeManualTrace(segment);
+            });
+
+            item.appendChild(info);
+            item.appendChild(removeBtn);
+
+            // While editing traces, a click on the entry selects the trace
+            item.addEventListener('click', () => {
+                if (!this.isEditingTraces) return;
+                this.selectedTrace = { index, view: 0 };
+                this.updateTraceTools();
+                this.updateTracesList();
+                this.renderTraceHandles();
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Draw the manual trace being drawn, with the leg to the pointer
+     */
+    renderTraceDraft() {
+        const existing = this.canvas.querySelector('#traceDraft');
+        if (existing) {
+            this.canvas.removeChild(existing);
+        }
+        if (!this.traceDraft) return;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const draftGroup = document.createElementNS(svgNS, 'g');
+        draftGroup.setAttribute('id', 'traceDraft');
+        draftGroup.setAttribute('pointer-events', 'none');
+
+        const { points, cursor } = this.traceDraft;
+        const lineColor = document.getElementById('lineColor').value;
+        const patternScale = parseFloat(document.getElementById('patternScale').value) || 1;
+        const line = document.createElementNS(svgNS, 'polyline');
+        line.setAttribute('points', points.concat(cursor).map(point => `${point.x},${point.y}`).join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', lineColor);
+        line.setAttribute('stroke-width', parseInt(document.getElementById('lineThickness').value) * patternScale);
+        line.setAttribute('stroke-linejoin', 'round');
+        line.setAttribute('opacity', '0.6');
+        draftGroup.appendChild(line);
+
+        points.forEach(point => {
+            const dot = document.createElementNS(svgNS, 'circle');
+            dot.setAttribute('cx', point.x);
+            dot.setAttribute('cy', point.y);
+            dot.setAttribute('r', 3);
+            dot.setAttribute('fill', '#ff601f');
+            draftGroup.appendChild(dot);
+        });
+
+        this.canvas.appendChild(draftGroup);
     }
 
     renderGradientHandles() {
@@ -1211,6 +2541,74 @@ class CircuitPatternApp {
         this.canvas.appendChild(handleGroup);
     }
 
+    getSymmetryCenter() {
+        return this.symmetryCenter || {
+            x: parseFloat(this.canvas.getAttribute('width')) / 2,
+            y: parseFloat(this.canvas.getAttribute('height')) / 2
+        };
+    }
+
+    /**
+     * Draw the symmetry centre handle with the mirror axes or radial spokes through it
+     */
+    renderSymmetryHandle() {
+        const existing = this.canvas.querySelector('#symmetryHandle');
+        if (existing) {
+            this.canvas.removeChild(existing);
+        }
+
+        const symmetry = document.getElementById('symmetry').value;
+        if (symmetry === 'none') return;
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const center = this.getSymmetryCenter();
+        const reach = parseFloat(this.canvas.getAttribute('width')) + parseFloat(this.canvas.getAttribute('height'));
+        const handleGroup = document.createElementNS(svgNS, 'g');
+        handleGroup.setAttribute('id', 'symmetryHandle');
+
+        // Axes for mirrors, one spoke per copy for radial symmetry
+        let angles = [];
+        if (symmetry === 'horizontal') {
+            angles = [90, 270];
+        } else if (symmetry === 'vertical') {
+            angles = [0, 180];
+        } else if (symmetry === 'quad') {
+            angles = [0, 90, 180, 270];
+        } else {
+            const order = Math.max(2, parseInt(document.getElementById('symmetryOrder').value) || 2);
+            for (let k = 0; k < order; k++) {
+                angles.push(360 * k / order);
+            }
+        }
+        angles.forEach(angle => {
+            const rad = angle * Math.PI / 180;
+            const line = document.createElementNS(svgNS, 'line');
+            line.setAttribute('x1', center.x);
+            line.setAttribute('y1', center.y);
+            line.setAttribute('x2', center.x + Math.cos(rad) * reach);
+            line.setAttribute('y2', center.y + Math.sin(rad) * reach);
+            line.setAttribute('stroke', '#ff601f');
+            line.setAttribute('stroke-width', '1');
+            line.setAttribute('stroke-dasharray', '5,5');
+            line.setAttribute('opacity', '0.5');
+            line.setAttribute('pointer-events', 'none');
+            handleGroup.appendChild(line);
+        });
+
+        const handle = document.createElementNS(svgNS, 'circle');
+        handle.setAttribute('cx', center.x);
+        handle.setAttribute('cy', center.y);
+        handle.setAttribute('r', 8);
+        handle.setAttribute('fill', '#ff601f');
+        handle.setAttribute('stroke', 'white');
+        handle.setAttribute('stroke-width', '2');
+        handle.setAttribute('class', 'symmetry-handle');
+        handle.setAttribute('style', 'cursor: move;');
+        handleGroup.appendChild(handle);
+
+        this.canvas.appendChild(handleGroup);
+    }
+
     removeGradientHandles() {
         const handles = this.canvas.querySelector('#gradientHandles');
         if (handles) {
@@ -1219,13 +2617,19 @@ class CircuitPatternApp {
     }
 
     clear() {
+        this.cancelGeneration();
+        this.setRegionSelecting(false);
+        this.setTraceEditing(false);
+        this.setTraceTool(false);
         this.objects = [];
         this.currentObjectId = null;
         this.currentObject = null;
         this.isDrawing = false;
         this.isDragging = false;
         this.currentPattern = null;
+        this.showPatternStats(null);
         this.updateObjectsList();
+        this.updateTracesList();
         this.renderObjects();
 
         // Clear pattern layer
@@ -1234,66 +2638,90 @@ class CircuitPatternApp {
         }
     }
 
+    /**
+     * Build the SVG markup from the pattern data (shared with the command-line generator).
+     * A seamless tile comes out as an SVG <pattern>, repeated `repeat` times in each direction.
+     * The Compact SVG and Coordinate Precision controls shrink the markup
+     */
+    getSVGString(repeat = 1) {
+        const transparent = document.getElementById('transparentBg').checked;
+        const precision = document.getElementById('svgPrecision').value;
+        return this.patternGenerator.renderToSVGString(this.currentPattern, {
+            width: this.canvas.getAttribute('width'),
+            height: this.canvas.getAttribute('height'),
+            background: transparent ? null : document.getElementById('bgColor').value,
+            repeat,
+            compact: document.getElementById('compactSvg').checked,
+            sharedPads: document.getElementById('sharedPads').checked,
+            precision: precision === 'full' ? null : parseInt(precision, 10)
+        });
+    }
+
     downloadSVG() {
         if (!this.currentPattern) {
             alert('Please generate a pattern first!');
             return;
         }
 
-        // Create a new SVG with the pattern
-        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-        svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-        svg.setAttribute('width', this.canvas.getAttribute('width'));
-        svg.setAttribute('height', this.canvas.getAttribute('height'));
-
-        // Create defs section for gradients
-        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-        svg.appendChild(defs);
-
-        // Copy gradient definitions from the original canvas if they exist
-        const originalDefs = this.canvas.querySelector('defs');
-        if (originalDefs) {
-            const gradients = originalDefs.querySelectorAll('linearGradient, radialGradient');
-            gradients.forEach(gradient => {
-                defs.appendChild(gradient.cloneNode(true));
-            });
-        }
+        const blob = new Blob([this.getSVGString()], { type: 'image/svg+xml' });
+        this.downloadBlob(blob, 'circuit-pattern.svg');
+    }
 
-        // Add background if not transparent
-        const transparent = document.getElementById('transparentBg').checked;
-        if (!transparent) {
-            const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            bg.setAttribute('width', '100%');
-            bg.setAttribute('height', '100%');
-            bg.setAttribute('fill', document.getElementById('bgColor').value);
-            svg.appendChild(bg);
+    /**
+     * Download the pattern as a PNG of the canvas size; a seamless tile repeats without seams
+     */
+    downloadPNG() {
+        if (!this.currentPattern) {
+            alert('Please generate a pattern first!');
+            return;
         }
 
-        // Add pattern (no clipping)
-        const patternGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-
-        // Clone pattern elements
-        const patternElements = this.patternLayer.querySelectorAll('*');
-        patternElements.forEach(el => {
-            patternGroup.appendChild(el.cloneNode(true));
-        });
-
-        svg.appendChild(patternGroup);
+        const url = URL.createObjectURL(new Blob([this.getSVGString()], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => this.downloadBlob(blob, 'circuit-pattern.png'), 'image/png');
+        };
+        image.src = url;
+    }
 
-        // Convert to string and download
-        const serializer = new XMLSerializer();
-        const svgString = serializer.serializeToString(svg);
-        const blob = new Blob([svgString], { type: 'image/svg+xml' });
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
 
         const link = document.createElement('a');
         link.href = url;
-        link.download = 'circuit-pattern.svg';
+        link.download = filename;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
         URL.revokeObjectURL(url);
     }
+
+    /**
+     * Show the pattern repeated 3x3 to check that a tile continues across its edges
+     */
+    openTilePreview() {
+        if (!this.currentPattern) {
+            alert('Please generate a pattern first!');
+            return;
+        }
+
+        const image = document.getElementById('tilePreviewImage');
+        if (image.src) {
+            URL.revokeObjectURL(image.src);
+        }
+        image.src = URL.createObjectURL(new Blob([this.getSVGString(this.currentPattern.tile ? 3 : 1)], { type: 'image/svg+xml' }));
+        document.getElementById('tilePreviewHint').style.display = this.currentPattern.tile ? 'none' : 'block';
+        document.getElementById('tilePreviewModal').classList.add('show');
+    }
+
+    closeTilePreview() {
+        document.getElementById('tilePreviewModal').classList.remove('show');
+    }
 }
 
 // Initialize app when DOM is ready
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+/**
+ * Headless circuit pattern generator
+ *
+ * Usage: circuit-pattern generate <scene.json> [-o out.svg] [--seed <n>] [--font <file>] [--compact] [--shared-pads] [--precision <n>]
+ *
+ * The scene file holds the same objects and options the web app uses:
+ * {
+ *   "width": 800, "height": 600,
+ *   "background": "#000000",            (omit or null for transparent)
+ *   "fonts": { "Inter": "fonts/Inter-Regular.ttf" },
+ *   "options": { "density": 8, "lineColor": "#00ff00", ... },
+ *   "objects": [{ "type": "rectangle", "data": { "x": 300, "y": 250, "width": 200, "height": 100 } }]
+ * }
+ */
+const fs = require('fs');
+const path = require('path');
+const { PatternGenerator, MaskBitmap } = require('../pattern-generator.js');
+const { MaskRasterizer } = require('../mask-rasterizer.js');
+
+// Same defaults as the controls panel in index.html
+const DEFAULT_OPTIONS = {
+    density: 8,
+    lineLengthMin: 20,
+    lineLengthMax: 150,
+    lineThickness: 4,
+    circleRadius: 4,
+    forkRadius: 5,
+    cleanup: false,
+    stubLength: null,
+    padStyle: 'ring',
+    padMix: 'ring:3, via:2, dot:1, square:1',
+    edgeClearance: 0,
+    keepOutClearance: 10,
+    busFrequency: 0,
+    busWidth: 4,
+    busPitch: 10,
+    cornerStyle: 'sharp',
+    cornerSize: 6,
+    style: 'organic',
+    branchProbability: 0.35,
+    maxDepth: 4,
+    contourRings: 0,
+    contourSpacing: 14,
+    contourFill: true,
+    densityMap: null,
+    targetCoverage: 0,
+    maxAttempts: 5000,
+    tileable: false,
+    symmetry: 'none',
+    symmetryOrder: 6,
+    symmetryCenter: null,
+    footprintCount: 0,
+    footprintTypes: ['qfp', 'soic', 'passive', 'crystal'],
+    footprintSize: 1,
+    lineColor: '#00ff00',
+    gradientType: 'none',
+    gradientColor: '#ff00ff',
+    gradientStartPoint: null,
+    gradientEndPoint: null,
+    patternScale: 0.7
+};
+
+const USAGE = `Usage: circuit-pattern generate <scene.json> [options]
+
+Options:
+  -o, --output <file>   Write the SVG to a file instead of stdout
+  --seed <n>            Override the seed from the scene options
+  --font <file>         Font file for text objects without their own font
+  --compact             Write compact SVG (shared styles, batched traces)
+  --shared-pads         With --compact, place square, oblong and octagon pads as <use>
+  --precision <n>       Round coordinates to n decimals
+  -h, --help            Show this help`;
+
+function parseArgs(argv) {
+    const args = { command: null, scene: null, output: null, seed: null, font: null, compact: false, sharedPads: false, precision: null, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-o':
+            case '--output':
+                args.output = argv[++i];
+                break;
+            case '--seed':
+                args.seed = argv[++i];
+                break;
+            case '--font':
+                args.font = argv[++i];
+                break;
+            case '--compact':
+                args.compact = true;
+                break;
+            case '--shared-pads':
+                args.sharedPads = true;
+                break;
+            case '--precision':
+                args.precision = parseInt(argv[++i], 10);
+                if (isNaN(args.precision) || args.precision < 0) {
+                    throw new Error('--precision needs a number of decimals');
+                }
+                break;
+            case '-h':
+            case '--help':
+                args.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                } else if (!args.command) {
+                    args.command = arg;
+                } else if (!args.scene) {
+                    args.scene = arg;
+                } else {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+        }
+    }
+    return args;
+}
+
+/**
+ * Create a font loader for text objects. Fonts are looked up from the object's
+ * data.fontPath, then the scene's fonts map by family, then --font.
+ */
+function createFontLoader(scene, sceneDir, fallbackFont) {
+    const cache = new Map();
+
+    return (obj) => {
+        const family = obj.data.fontFamily || 'Inter';
+        const fontFile = obj.data.fontPath || (scene.fonts && scene.fonts[family]) || fallbackFont;
+        if (!fontFile) {
+            throw new Error(`Text "${obj.data.text}" needs a font file: set data.fontPath, fonts["${family}"] in the scene, or --font`);
+        }
+
+        const resolved = path.resolve(sceneDir, fontFile);
+        if (!cache.has(resolved)) {
+            let opentype;
+            try {
+                opentype = require('opentype.js');
+            } catch (e) {
+                throw new Error('Text objects need the opentype.js package (npm install opentype.js)');
+            }
+            const buffer = fs.readFileSync(resolved);
+            cache.set(resolved, opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)));
+        }
+        return cache.get(resolved);
+    };
+}
+
+function generate(args) {
+    if (!args.scene) {
+        throw new Error('Missing scene file');
+    }
+
+    const scenePath = path.resolve(args.scene);
+    const scene = JSON.parse(fs.readFileSync(scenePath, 'utf8'));
+    const width = scene.width || 800;
+    const height = scene.height || 600;
+    const options = { ...DEFAULT_OPTIONS, ...(scene.options || {}) };
+    if (args.seed !== null) {
+        options.seed = args.seed;
+    }
+
+    // Objects with their own settings (`overrides`) are generated as separate groups;
+    // a seamless tile is the whole canvas, so it is one group
+    const generator = new PatternGenerator();
+    const objects = scene.objects || [];
+    const getFont = createFontLoader(scene, path.dirname(scenePath), args.font && path.resolve(args.font));
+    const groups = [];
+    const settingsGroups = options.tileable ? [{ overrides: {}, objects: [] }] : generator.groupObjectsBySettings(objects);
+    settingsGroups.forEach(group => {
+        const maskData = MaskRasterizer.rasterize(objects, width, height, {
+            keepOutClearance: options.keepOutClearance,
+            group: group.objects,
+            tile: options.tileable,
+            getFont
+        });
+        if (maskData) {
+            groups.push({ mask: new MaskBitmap(maskData.width, maskData.height, maskData.data), overrides: group.overrides });
+        }
+    });
+    if (groups.length === 0) {
+        throw new Error('No valid shapes to generate pattern for');
+    }
+
+    const pattern = generator.generateGroups(groups, options);
+    const svg = generator.renderToSVGString(pattern, {
+        width,
+        height,
+        background: scene.background || null,
+        compact: args.compact,
+        sharedPads: args.sharedPads,
+        precision: args.precision
+    });
+
+    if (args.output) {
+        fs.writeFileSync(args.output, svg);
+        const { stats } = pattern;
+        const cleanup = stats.cleanup
+            ? `, cleanup: ${stats.cleanup.merged} joined, ${stats.cleanup.stubs} stubs dropped, ${stats.cleanup.forks} forks without pad`
+            : '';
+        process.stderr.write(`Wrote ${args.output} (seed ${pattern.seed}, ${stats.segments} segments, ` +
+            `${(stats.coverage * 100).toFixed(1)}% coverage${cleanup})\n`);
+    } else {
+        process.stdout.write(svg + '\n');
+    }
+}
+
+function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help || !args.command) {
+        console.log(USAGE);
+        return;
+    }
+    if (args.command !== 'generate') {
+        throw new Error(`Unknown command: ${args.command}`);
+    }
+    generate(args);
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (e) {
+    process.stderr.write(`circuit-pattern: ${e.message}\n`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,369 @@
+/**
+ * Pure JavaScript rasterizer for pattern masks. It mirrors
+ * CircuitPatternApp.createRasterizedMask without needing a canvas, so
+ * masks can be built in Node. A pixel is inside when its centre is inside
+ * a shape (nonzero fill rule, like canvas fill()).
+ */
+class MaskRasterizer {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.data = new Uint8Array(width * height);
+    }
+
+    /**
+     * Rasterize app objects ({ type, data }) into mask data
+     * @param {Array} objects - Objects as stored in CircuitPatternApp.objects
+     * @param {number} width - Mask width
+     * @param {number} height - Mask height
+     * @param {Object} options - { getFont(obj) } returning an opentype.js font for text objects,
+     *   { keepOutClearance } distance kept clear around keep-out objects,
+     *   { group } objects of one settings group; the others hide what they cover,
+     *   { tile } fill the whole canvas as a seamless tile; only keep-outs are drawn, wrapped around the edges
+     * @returns {Object|null} - { width, height, data } or null if nothing was drawn
+     */
+    static rasterize(objects, width, height, options = {}) {
+        const rasterizer = new MaskRasterizer(width, height);
+        let hasObjects = false;
+
+        if (options.tile) {
+            rasterizer.data.fill(1);
+            hasObjects = true;
+        } else {
+            // Painted in stacking order, so the topmost object owns every pixel
+            objects.forEach(obj => {
+                if (obj.keepOut) return;
+                const inGroup = !options.group || options.group.includes(obj);
+                if (rasterizer.drawObject(obj, options, inGroup ? 1 : 0) && inGroup) {
+                    hasObjects = true;
+                }
+            });
+        }
+
+        if (!hasObjects) {
+            return null;
+        }
+
+        // Keep-outs are cut from the finished mask, so their order does not matter.
+        // On a tile they are also cut one tile away, so they wrap around the edges
+        const offsets = options.tile ? [-1, 0, 1] : [0];
+        objects.forEach(obj => {
+            if (!obj.keepOut) return;
+            offsets.forEach(tx => offsets.forEach(ty => {
+                rasterizer.subtractObject(MaskRasterizer.shiftObject(obj, tx * width, ty * height),
+                    options.keepOutClearance || 0, options);
+            }));
+        });
+        return { width, height, data: rasterizer.data };
+    }
+
+    /**
+     * Copy of an object moved by an offset
+     */
+    static shiftObject(obj, dx, dy) {
+        if (!dx && !dy) return obj;
+        const data = { ...obj.data };
+        switch (obj.type) {
+            case 'freehand':
+                data.points = obj.data.points.map(point => ({ x: point.x + dx, y: point.y + dy }));
+                break;
+            case 'ellipse':
+                data.cx += dx;
+                data.cy += dy;
+                break;
+            default:
+                data.x += dx;
+                data.y += dy;
+        }
+        return { ...obj, data };
+    }
+
+    /**
+     * Draw one object into the mask with the given value (1 inside, 0 to clear)
+     * @returns {boolean} - Whether anything was drawn
+     */
+    drawObject(obj, options = {}, value = 1) {
+        switch (obj.type) {
+            case 'freehand':
+                if (obj.data.points.length < 3) return false;
+                this.fillPolygon(obj.data.points, value);
+                return true;
+
+            case 'text':
+                if (!options.getFont) {
+                    throw new Error('Text objects need a font loader');
+                }
+                this.fillText(obj.data, options.getFont(obj), value);
+                return true;
+
+            case 'ellipse':
+                this.fillEllipse(obj.data.cx, obj.data.cy, Math.max(1, obj.data.rx), Math.max(1, obj.data.ry), value);
+                return true;
+
+            case 'rectangle':
+                this.fillPolygon([
+                    { x: obj.data.x, y: obj.data.y },
+                    { x: obj.data.x + Math.max(1, obj.data.width), y: obj.data.y },
+                    { x: obj.data.x + Math.max(1, obj.data.width), y: obj.data.y + Math.max(1, obj.data.height) },
+                    { x: obj.data.x, y: obj.data.y + Math.max(1, obj.data.height) }
+                ], value);
+                return true;
+
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Clear an object, grown by a clearance distance, from the mask
+     */
+    subtractObject(obj, clearance = 0, options = {}) {
+        const layer = new MaskRasterizer(this.width, this.height);
+        if (!layer.drawObject(obj, options)) return;
+        layer.dilate(clearance, clearance);
+
+        for (let i = 0; i < layer.data.length; i++) {
+            if (layer.data[i]) {
+                this.data[i] = 0;
+            }
+        }
+    }
+
+    fillPolygon(points, value = 1) {
+        this.fillContours([points], value);
+    }
+
+    fillEllipse(cx, cy, rx, ry, value = 1) {
+        // Enough vertices that the polygon stays within a fraction of a pixel of the ellipse
+        const steps = Math.max(64, Math.ceil(Math.PI * (rx + ry)));
+        const points = [];
+        for (let i = 0; i < steps; i++) {
+            const angle = (i / steps) * 2 * Math.PI;
+            points.push({
+                x: cx + rx * Math.cos(angle),
+                y: cy + ry * Math.sin(angle)
+            });
+        }
+        this.fillPolygon(points, value);
+    }
+
+    /**
+     * Scanline fill of one or more closed contours using the nonzero winding rule
+     */
+    fillContours(contours, value = 1) {
+        const edges = [];
+        let minY = Infinity, maxY = -Infinity;
+
+        contours.forEach(points => {
+            for (let i = 0; i < points.length; i++) {
+                const a = points[i];
+                const b = points[(i + 1) % points.length];
+                if (a.y === b.y) continue;
+                const edge = a.y < b.y
+                    ? { x0: a.x, y0: a.y, x1: b.x, y1: b.y, dir: 1 }
+                    : { x0: b.x, y0: b.y, x1: a.x, y1: a.y, dir: -1 };
+                edges.push(edge);
+                minY = Math.min(minY, edge.y0);
+                maxY = Math.max(maxY, edge.y1);
+            }
+        });
+
+        if (edges.length === 0) return;
+
+        const firstRow = Math.max(0, Math.floor(minY));
+        const lastRow = Math.min(this.height - 1, Math.ceil(maxY));
+
+        for (let y = firstRow; y <= lastRow; y++) {
+            // Sample at pixel centres
+            const sampleY = y + 0.5;
+            const crossings = [];
+            edges.forEach(edge => {
+                if (sampleY >= edge.y0 && sampleY < edge.y1) {
+                    crossings.push({
+                        x: edge.x0 + (sampleY - edge.y0) * (edge.x1 - edge.x0) / (edge.y1 - edge.y0),
+                        dir: edge.dir
+                    });
+                }
+            });
+            crossings.sort((a, b) => a.x - b.x);
+
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i].dir;
+                if (winding === 0) continue;
+
+                // Pixels whose centres lie between the two crossings
+                const startX = Math.max(0, Math.ceil(crossings[i].x - 0.5));
+                const endX = Math.min(this.width - 1, Math.ceil(crossings[i + 1].x - 0.5) - 1);
+                for (let x = startX; x <= endX; x++) {
+                    this.data[y * this.width + x] = value;
+                }
+            }
+        }
+    }
+
+    /**
+     * Fill text the way createRasterizedMask does (centred on x/y, middle baseline,
+     * scaled around its centre, stroke added around the glyphs)
+     * @param {Object} data - Text object data
+     * @param {Object} font - opentype.js font
+     */
+    fillText(data, font, value = 1) {
+        const fontSize = data.fontSize;
+        const scaleX = data.scaleX || 1;
+        const scaleY = data.scaleY || 1;
+        const strokeWidth = data.strokeWidth || 0;
+
+        // Centre horizontally; 'middle' baseline puts the middle of the em box on y
+        const layout = this.layoutText(font, data.text, fontSize, data.letterSpacing || 0);
+        const unitScale = fontSize / font.unitsPerEm;
+        const startX = data.x - layout.width / 2;
+        const baseline = data.y + (font.ascender + font.descender) / 2 * unitScale;
+        const commands = [];
+        layout.glyphs.forEach(({ glyph, x }) => {
+            commands.push(...glyph.getPath(startX + x, baseline, fontSize).commands);
+        });
+
+        // Apply transform: translate(x,y) scale(sx,sy) translate(-x,-y)
+        const contours = this.flattenPath(commands).map(points => points.map(point => ({
+            x: data.x + (point.x - data.x) * scaleX,
+            y: data.y + (point.y - data.y) * scaleY
+        })));
+
+        // Draw glyphs on their own layer so the stroke only grows the text
+        const layer = new MaskRasterizer(this.width, this.height);
+        layer.fillContours(contours);
+        if (strokeWidth > 0) {
+            layer.dilate(strokeWidth / 2 * scaleX, strokeWidth / 2 * scaleY);
+        }
+
+        for (let i = 0; i < layer.data.length; i++) {
+            if (layer.data[i]) {
+                this.data[i] = value;
+            }
+        }
+    }
+
+    /**
+     * Place glyphs along the baseline using advance widths, kerning and letter spacing
+     * (letter spacing is added after every glyph, as canvas does)
+     * @returns {Object} - { glyphs: [{ glyph, x }], width }
+     */
+    layoutText(font, text, fontSize, letterSpacing) {
+        const unitScale = fontSize / font.unitsPerEm;
+        const glyphs = Array.from(text).map(char => font.charToGlyph(char));
+        const placed = [];
+        let x = 0;
+
+        glyphs.forEach((glyph, i) => {
+            placed.push({ glyph, x });
+            x += glyph.advanceWidth * unitScale + letterSpacing;
+            if (i < glyphs.length - 1) {
+                x += font.getKerningValue(glyph, glyphs[i + 1]) * unitScale;
+            }
+        });
+
+        return { glyphs: placed, width: x };
+    }
+
+    /**
+     * Convert opentype.js path commands into polygons
+     */
+    flattenPath(commands, curveSteps = 8) {
+        const contours = [];
+        let current = null;
+        let x = 0, y = 0;
+
+        const addPoint = (px, py) => {
+            if (!current) {
+                current = [{ x, y }];
+                contours.push(current);
+            }
+            current.push({ x: px, y: py });
+            x = px;
+            y = py;
+        };
+
+        commands.forEach(cmd => {
+            switch (cmd.type) {
+                case 'M':
+                    current = [{ x: cmd.x, y: cmd.y }];
+                    contours.push(current);
+                    x = cmd.x;
+                    y = cmd.y;
+                    break;
+                case 'L':
+                    addPoint(cmd.x, cmd.y);
+                    break;
+                case 'Q': {
+                    const x0 = x, y0 = y;
+                    for (let i = 1; i <= curveSteps; i++) {
+                        const t = i / curveSteps;
+                        const mt = 1 - t;
+                        addPoint(
+                            mt * mt * x0 + 2 * mt * t * cmd.x1 + t * t * cmd.x,
+                            mt * mt * y0 + 2 * mt * t * cmd.y1 + t * t * cmd.y
+                        );
+                    }
+                    break;
+                }
+                case 'C': {
+                    const x0 = x, y0 = y;
+                    for (let i = 1; i <= curveSteps; i++) {
+                        const t = i / curveSteps;
+                        const mt = 1 - t;
+                        addPoint(
+                            mt * mt * mt * x0 + 3 * mt * mt * t * cmd.x1 + 3 * mt * t * t * cmd.x2 + t * t * t * cmd.x,
+                            mt * mt * mt * y0 + 3 * mt * mt * t * cmd.y1 + 3 * mt * t * t * cmd.y2 + t * t * t * cmd.y
+                        );
+                    }
+                    break;
+                }
+                case 'Z':
+                    if (current) {
+                        x = current[0].x;
+                        y = current[0].y;
+                    }
+                    current = null;
+                    break;
+            }
+        });
+
+        return contours.filter(points => points.length >= 3);
+    }
+
+    /**
+     * Grow the filled area by an elliptical radius (used for text stroke)
+     */
+    dilate(radiusX, radiusY) {
+        if (radiusX <= 0 || radiusY <= 0) return;
+
+        const source = this.data.slice();
+        const rx = Math.ceil(radiusX);
+        const ry = Math.ceil(radiusY);
+        const isSet = (x, y) => x >= 0 && y >= 0 && x < this.width && y < this.height && source[y * this.width + x] === 1;
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                // Only boundary pixels can grow the shape
+                if (!isSet(x, y) || (isSet(x - 1, y) && isSet(x + 1, y) && isSet(x, y - 1) && isSet(x, y + 1))) {
+                    continue;
+                }
+                for (let dy = -ry; dy <= ry; dy++) {
+                    for (let dx = -rx; dx <= rx; dx++) {
+                        const px = x + dx;
+                        const py = y + dy;
+                        if (px < 0 || py < 0 || px >= this.width || py >= this.height) continue;
+                        if ((dx / radiusX) * (dx / radiusX) + (dy / radiusY) * (dy / radiusY) <= 1) {
+                            this.data[py * this.width + px] = 1;
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MaskRasterizer };
+}
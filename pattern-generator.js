@@ -1,13 +1,727 @@
+/**
+ * Compact occupancy bitmap of a mask. It is read once from a canvas
+ * (or built from a plain array outside the DOM) and answers all inside-tests
+ */
+class MaskBitmap {
+    /**
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {Uint8Array|Array<number>} data - One entry per pixel (row-major), non-zero means inside
+     */
+    constructor(width, height, data) {
+        this.width = width;
+        this.height = height;
+        this.data = data instanceof Uint8Array ? data : Uint8Array.from(data, value => (value ? 1 : 0));
+        this.wrap = false; // Tiles repeat in every direction instead of ending at the border
+        this.distanceField = null; // Computed on first distanceToEdge call
+    }
+
+    /**
+     * Copy of the bitmap that repeats in every direction, for seamless tiles:
+     * points past an edge read the opposite side, and the border is not an edge
+     * @returns {MaskBitmap}
+     */
+    asTile() {
+        const tile = new MaskBitmap(this.width, this.height, this.data);
+        tile.wrap = true;
+        return tile;
+    }
+
+    /**
+     * Copy of the bitmap keeping only pixels whose mirrored or rotated images are
+     * all inside too, so whatever fits in it also fits wherever it is repeated
+     * @param {Array} matrices - [a, b, c, d, e, f] maps in pixels
+     * @returns {MaskBitmap}
+     */
+    symmetrized(matrices) {
+        const data = new Uint8Array(this.data.length);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const px = x + 0.5;
+                const py = y + 0.5;
+                data[y * this.width + x] = this.data[y * this.width + x] &&
+                    matrices.every(m => this.has(m[0] * px + m[2] * py + m[4], m[1] * px + m[3] * py + m[5])) ? 1 : 0;
+            }
+        }
+        return new MaskBitmap(this.width, this.height, data);
+    }
+
+    /**
+     * Index of the pixel containing a point, or -1 outside the bitmap
+     */
+    getIndex(x, y) {
+        let px = Math.floor(x);
+        let py = Math.floor(y);
+        if (this.wrap) {
+            px = ((px % this.width) + this.width) % this.width;
+            py = ((py % this.height) + this.height) % this.height;
+        }
+        if (px < 0 || py < 0 || px >= this.width || py >= this.height) {
+            return -1;
+        }
+        return py * this.width + px;
+    }
+
+    /**
+     * Read a canvas once and threshold its pixels into a bitmap
+     * @param {HTMLCanvasElement} canvas - Source canvas
+     * @param {Function} isInside - Receives (r, g, b, a) and returns true for inside pixels
+     */
+    static fromCanvas(canvas, isInside = (r) => r < 128) {
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        return MaskBitmap.fromImageData(imageData, isInside);
+    }
+
+    /**
+     * Threshold RGBA image data into a bitmap (black pixels = inside by default)
+     */
+    static fromImageData(imageData, isInside = (r) => r < 128) {
+        const { width, height, data: pixels } = imageData;
+        const data = new Uint8Array(width * height);
+        for (let i = 0; i < data.length; i++) {
+            const offset = i * 4;
+            data[i] = isInside(pixels[offset], pixels[offset + 1], pixels[offset + 2], pixels[offset + 3]) ? 1 : 0;
+        }
+        return new MaskBitmap(width, height, data);
+    }
+
+    /**
+     * Check if the pixel containing a point is inside the mask
+     */
+    has(x, y) {
+        const index = this.getIndex(x, y);
+        return index >= 0 && this.data[index] === 1;
+    }
+
+    /**
+     * Distance in pixels from a point to the nearest pixel outside the mask
+     * (the canvas border counts as outside). Returns 0 for outside points.
+     */
+    distanceToEdge(x, y) {
+        if (!this.has(x, y)) {
+            return 0;
+        }
+        if (!this.distanceField) {
+            this.distanceField = this.computeDistanceField();
+        }
+        return this.distanceField[this.getIndex(x, y)];
+    }
+
+    /**
+     * Distance in pixels from a point to the mask edge itself, which lies half
+     * a pixel before the outside pixel centres distanceToEdge measures to
+     */
+    clearanceAt(x, y) {
+        return Math.max(0, this.distanceToEdge(x, y) - 0.5);
+    }
+
+    /**
+     * Copy of the bitmap with rectangles cleared to outside
+     * @param {Array} rects - Boxes in pixels ({ minX, minY, maxX, maxY })
+     * @returns {MaskBitmap}
+     */
+    withoutRects(rects) {
+        const data = this.data.slice();
+        rects.forEach(rect => {
+            if (this.wrap) {
+                // A box across an edge is cleared on the opposite side too
+                for (let y = Math.floor(rect.minY); y <= Math.ceil(rect.maxY); y++) {
+                    for (let x = Math.floor(rect.minX); x <= Math.ceil(rect.maxX); x++) {
+                        data[this.getIndex(x, y)] = 0;
+                    }
+                }
+                return;
+            }
+            const x0 = Math.max(0, Math.floor(rect.minX));
+            const y0 = Math.max(0, Math.floor(rect.minY));
+            const x1 = Math.min(this.width - 1, Math.ceil(rect.maxX));
+            const y1 = Math.min(this.height - 1, Math.ceil(rect.maxY));
+            for (let y = y0; y <= y1; y++) {
+                data.fill(0, y * this.width + x0, y * this.width + x1 + 1);
+            }
+        });
+        const copy = new MaskBitmap(this.width, this.height, data);
+        copy.wrap = this.wrap;
+        return copy;
+    }
+
+    /**
+     * Exact Euclidean distance transform (Felzenszwalb & Huttenlocher),
+     * run on a copy padded by one outside pixel on every side. A tile is
+     * padded with its own wrapped pixels instead, so distances across the
+     * edges are exact up to MaskBitmap.TILE_PADDING
+     */
+    computeDistanceField() {
+        const padding = this.wrap ? MaskBitmap.TILE_PADDING : 1;
+        const width = this.width + 2 * padding;
+        const height = this.height + 2 * padding;
+        const INF = 1e20;
+        const grid = new Float64Array(width * height).fill(0);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const inside = this.wrap
+                    ? this.data[this.getIndex(x - padding, y - padding)]
+                    : x >= padding && y >= padding && x < width - padding && y < height - padding &&
+                        this.data[(y - padding) * this.width + (x - padding)];
+                if (inside) {
+                    grid[y * width + x] = INF;
+                }
+            }
+        }
+
+        const size = Math.max(width, height);
+        const f = new Float64Array(size);
+        const d = new Float64Array(size);
+        const v = new Int32Array(size);
+        const z = new Float64Array(size + 1);
+
+        const transform1D = (n) => {
+            let k = 0;
+            v[0] = 0;
+            z[0] = -INF;
+            z[1] = INF;
+            for (let q = 1; q < n; q++) {
+                let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                while (s <= z[k]) {
+                    k--;
+                    s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+                }
+                k++;
+                v[k] = q;
+                z[k] = s;
+                z[k + 1] = INF;
+            }
+            k = 0;
+            for (let q = 0; q < n; q++) {
+                while (z[k + 1] < q) k++;
+                d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+            }
+        };
+
+        // Columns, then rows
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) f[y] = grid[y * width + x];
+            transform1D(height);
+            for (let y = 0; y < height; y++) grid[y * width + x] = d[y];
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) f[x] = grid[y * width + x];
+            transform1D(width);
+            for (let x = 0; x < width; x++) grid[y * width + x] = d[x];
+        }
+
+        const field = new Float32Array(this.width * this.height);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                field[y * this.width + x] = Math.sqrt(grid[(y + padding) * width + (x + padding)]);
+            }
+        }
+        return field;
+    }
+
+    /**
+     * Trace the isolines of the distance field at a given level with marching squares
+     * @param {number} level - Distance from the mask edge in pixels
+     * @param {number} step - Sample spacing in pixels
+     * @returns {Array} - Polylines ({ points, closed }) in pixel coordinates
+     */
+    traceContours(level, step = 2) {
+        const cols = Math.floor((this.width - 1) / step) + 1;
+        const rows = Math.floor((this.height - 1) / step) + 1;
+        const values = new Float32Array(cols * rows);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                values[j * cols + i] = this.clearanceAt(i * step + 0.5, j * step + 0.5);
+            }
+        }
+
+        // Each crossing lives on a grid edge: even ids are horizontal edges, odd ids vertical ones
+        const crossings = new Map();
+        const crossing = (i, j, vertical) => {
+            const id = (j * cols + i) * 2 + (vertical ? 1 : 0);
+            if (!crossings.has(id)) {
+                const a = values[j * cols + i];
+                const b = vertical ? values[(j + 1) * cols + i] : values[j * cols + i + 1];
+                const t = (level - a) / (b - a);
+                crossings.set(id, {
+                    x: (i + (vertical ? 0 : t)) * step + 0.5,
+                    y: (j + (vertical ? t : 0)) * step + 0.5,
+                    links: []
+                });
+            }
+            return id;
+        };
+        const link = (a, b) => {
+            crossings.get(a).links.push(b);
+            crossings.get(b).links.push(a);
+        };
+
+        for (let j = 0; j < rows - 1; j++) {
+            for (let i = 0; i < cols - 1; i++) {
+                const topLeft = values[j * cols + i] >= level;
+                const topRight = values[j * cols + i + 1] >= level;
+                const bottomRight = values[(j + 1) * cols + i + 1] >= level;
+                const bottomLeft = values[(j + 1) * cols + i] >= level;
+                const edges = [];
+                if (topLeft !== topRight) edges.push(crossing(i, j, false));
+                if (topRight !== bottomRight) edges.push(crossing(i + 1, j, true));
+                if (bottomLeft !== bottomRight) edges.push(crossing(i, j + 1, false));
+                if (topLeft !== bottomLeft) edges.push(crossing(i, j, true));
+
+                if (edges.length === 2) {
+                    link(edges[0], edges[1]);
+                } else if (edges.length === 4) {
+                    // Saddle: the cell centre decides which corners are connected
+                    const center = (values[j * cols + i] + values[j * cols + i + 1] +
+                        values[(j + 1) * cols + i] + values[(j + 1) * cols + i + 1]) / 4;
+                    if ((center >= level) === topLeft) {
+                        link(edges[0], edges[1]);
+                        link(edges[2], edges[3]);
+                    } else {
+                        link(edges[0], edges[3]);
+                        link(edges[1], edges[2]);
+                    }
+                }
+            }
+        }
+
+        // Walk the links into polylines, open ones from their loose ends first
+        const visited = new Set();
+        const contours = [];
+        const walk = (startId) => {
+            const points = [];
+            let previous = null;
+            let current = startId;
+            while (current !== undefined && !visited.has(current)) {
+                visited.add(current);
+                const node = crossings.get(current);
+                points.push({ x: node.x, y: node.y });
+                const next = node.links.find(id => id !== previous && !visited.has(id));
+                previous = current;
+                current = next;
+            }
+            const first = crossings.get(startId);
+            const closed = points.length > 2 && first.links.length === 2 && first.links.includes(previous);
+            return { points, closed };
+        };
+        crossings.forEach((node, id) => {
+            if (!visited.has(id) && node.links.length === 1) contours.push(walk(id));
+        });
+        crossings.forEach((node, id) => {
+            if (!visited.has(id)) contours.push(walk(id));
+        });
+
+        return contours.filter(contour => contour.points.length > 1);
+    }
+}
+
+// Wrapped pixels around a tile for its distance field; clearances beyond this are never needed
+MaskBitmap.TILE_PADDING = 128;
+
+/**
+ * Grayscale map that scales pattern density across the canvas. Values run
+ * from 0 (empty) to 255 (full density) and the map is stretched over the
+ * canvas, so it can have any resolution
+ */
+class DensityMap {
+    /**
+     * @param {number} width - Width in samples
+     * @param {number} height - Height in samples
+     * @param {Uint8Array|Array<number>} data - One value (0-255) per sample, row-major
+     */
+    constructor(width, height, data) {
+        this.width = width;
+        this.height = height;
+        this.data = data instanceof Uint8Array ? data : Uint8Array.from(data);
+    }
+
+    /**
+     * Accept a DensityMap, a preset name, or plain { width, height, data }
+     * (what arrives after the map is posted to a worker)
+     * @returns {DensityMap|null}
+     */
+    static from(source, width, height) {
+        if (!source || source === 'none') return null;
+        if (source instanceof DensityMap) return source;
+        if (typeof source === 'string') return DensityMap.fromPreset(source, width, height);
+        return new DensityMap(source.width, source.height, source.data);
+    }
+
+    /**
+     * Read image data as a density map: dark pixels are dense, transparent pixels empty
+     */
+    static fromImageData(imageData) {
+        const { width, height, data: pixels } = imageData;
+        const data = new Uint8Array(width * height);
+        for (let i = 0; i < data.length; i++) {
+            const offset = i * 4;
+            const luminance = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+            data[i] = Math.round((255 - luminance) * pixels[offset + 3] / 255);
+        }
+        return new DensityMap(width, height, data);
+    }
+
+    /**
+     * Build one of the gradient presets in DensityMap.PRESETS
+     */
+    static fromPreset(name, width, height) {
+        const shape = DensityMap.PRESETS[name];
+        if (!shape) {
+            throw new Error(`Unknown density map preset: ${name}`);
+        }
+        const data = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const value = shape((x + 0.5) / width, (y + 0.5) / height);
+                data[y * width + x] = Math.round(Math.max(0, Math.min(1, value)) * 255);
+            }
+        }
+        return new DensityMap(width, height, data);
+    }
+
+    /**
+     * Swap dense and empty areas
+     */
+    invert() {
+        return new DensityMap(this.width, this.height, this.data.map(value => 255 - value));
+    }
+
+    /**
+     * Density (0-1) at a position given as a fraction of the canvas size
+     */
+    valueAt(u, v) {
+        const x = Math.min(this.width - 1, Math.max(0, Math.floor(u * this.width)));
+        const y = Math.min(this.height - 1, Math.max(0, Math.floor(v * this.height)));
+        return this.data[y * this.width + x] / 255;
+    }
+}
+
+// Gradient shapes by name; each maps canvas fractions (u, v) to a density 0-1
+DensityMap.PRESETS = {
+    'fade-right': (u) => 1 - u,
+    'fade-down': (u, v) => 1 - v,
+    'fade-corner': (u, v) => 1 - Math.min(1, Math.sqrt(u * u + v * v) / Math.SQRT2),
+    vignette: (u, v) => 1 - Math.min(1, Math.sqrt((u - 0.5) ** 2 + (v - 0.5) ** 2) / Math.SQRT1_2),
+    'edge-vignette': (u, v) => Math.min(1, Math.sqrt((u - 0.5) ** 2 + (v - 0.5) ** 2) / Math.SQRT1_2)
+};
+
+/**
+ * Uniform grid index over placed segments, so collision checks only
+ * visit segments whose bounding boxes are near the candidate
+ */
+class SegmentIndex {
+    /**
+     * @param {number} cellSize - Grid cell size
+     * @param {Array<Function>} images - Point maps under which the pattern repeats (tile shifts,
+     *   mirrors, rotations): every segment is also indexed at each image, so checks see the copies
+     */
+    constructor(cellSize, images = []) {
+        this.cellSize = Math.max(1, cellSize);
+        this.images = images;
+        this.cells = new Map();
+        this.count = 0;
+    }
+
+    /**
+     * Copy of a segment with every point mapped
+     */
+    static transform(segment, map) {
+        return { ...segment, start: map(segment.start), end: map(segment.end), points: segment.points.map(map) };
+    }
+
+    /**
+     * The copies of a segment the pattern will show besides the segment itself
+     */
+    imagesOf(segment) {
+        return this.images.map(map => SegmentIndex.transform(segment, map));
+    }
+
+    /**
+     * Get axis-aligned bounding box of a segment's path
+     */
+    static getBounds(segment) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        segment.points.forEach(point => {
+            minX = Math.min(minX, point.x);
+            minY = Math.min(minY, point.y);
+            maxX = Math.max(maxX, point.x);
+            maxY = Math.max(maxY, point.y);
+        });
+        return { minX, minY, maxX, maxY };
+    }
+
+    /**
+     * Get numeric key for a grid cell
+     */
+    getCellKey(cellX, cellY) {
+        return (cellX + 32768) * 65536 + (cellY + 32768);
+    }
+
+    /**
+     * Add a segment, and its images, to every cell its bounding box touches
+     */
+    insert(segment) {
+        this.insertEntry(segment);
+        this.imagesOf(segment).forEach(image => this.insertEntry(image));
+    }
+
+    /**
+     * Add one entry to the cells its bounding box touches
+     */
+    insertEntry(segment) {
+        const bounds = SegmentIndex.getBounds(segment);
+        const entry = { segment, bounds, order: this.count++ };
+        const size = this.cellSize;
+
+        for (let cx = Math.floor(bounds.minX / size); cx <= Math.floor(bounds.maxX / size); cx++) {
+            for (let cy = Math.floor(bounds.minY / size); cy <= Math.floor(bounds.maxY / size); cy++) {
+                const key = this.getCellKey(cx, cy);
+                if (!this.cells.has(key)) {
+                    this.cells.set(key, []);
+                }
+                this.cells.get(key).push(entry);
+            }
+        }
+    }
+
+    /**
+     * Find segments whose bounding boxes come within padding of the given bounds
+     * @returns {Array} - Segments in insertion order
+     */
+    query(bounds, padding = 0) {
+        const minX = bounds.minX - padding;
+        const minY = bounds.minY - padding;
+        const maxX = bounds.maxX + padding;
+        const maxY = bounds.maxY + padding;
+        const size = this.cellSize;
+        const found = new Set();
+
+        for (let cx = Math.floor(minX / size); cx <= Math.floor(maxX / size); cx++) {
+            for (let cy = Math.floor(minY / size); cy <= Math.floor(maxY / size); cy++) {
+                const cell = this.cells.get(this.getCellKey(cx, cy));
+                if (!cell) continue;
+                cell.forEach(entry => {
+                    if (entry.bounds.maxX >= minX && entry.bounds.minX <= maxX &&
+                        entry.bounds.maxY >= minY && entry.bounds.minY <= maxY) {
+                        found.add(entry);
+                    }
+                });
+            }
+        }
+
+        return Array.from(found)
+            .sort((a, b) => a.order - b.order)
+            .map(entry => entry.segment);
+    }
+}
+
+/**
+ * Share of a mask covered by traces and pads, kept per pixel and per cell so
+ * under-filled areas can be found while the pattern grows
+ */
+class CoverageMap {
+    /**
+     * @param {MaskBitmap} mask - Area to measure
+     * @param {number} cellSize - Cell size in pixels for local coverage
+     * @param {Array} copies - [a, b, c, d, e, f] matrices of the copies a repeating pattern shows
+     */
+    constructor(mask, cellSize, copies = []) {
+        this.mask = mask;
+        this.copies = copies;
+        this.covered = new Uint8Array(mask.width * mask.height);
+        this.cellSize = Math.max(1, Math.round(cellSize));
+        this.cols = Math.ceil(mask.width / this.cellSize);
+        this.rows = Math.ceil(mask.height / this.cellSize);
+        this.cellArea = new Uint32Array(this.cols * this.rows);
+        this.cellCovered = new Uint32Array(this.cols * this.rows);
+        this.area = 0;
+        this.coveredArea = 0;
+
+        for (let y = 0; y < mask.height; y++) {
+            for (let x = 0; x < mask.width; x++) {
+                if (mask.data[y * mask.width + x]) {
+                    this.cellArea[this.getCell(x, y)]++;
+                    this.area++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Covered share (0-1) of the whole mask
+     */
+    get ratio() {
+        return this.area > 0 ? this.coveredArea / this.area : 0;
+    }
+
+    /**
+     * Index of the cell holding a pixel
+     */
+    getCell(x, y) {
+        return Math.floor(y / this.cellSize) * this.cols + Math.floor(x / this.cellSize);
+    }
+
+    /**
+     * Mark every mask pixel whose centre is within `radius` of the stroke from a to b
+     * (a disc when a and b are the same point)
+     */
+    stampStroke(a, b, radius) {
+        const minX = Math.max(0, Math.floor(Math.min(a.x, b.x) - radius));
+        const minY = Math.max(0, Math.floor(Math.min(a.y, b.y) - radius));
+        const maxX = Math.min(this.mask.width - 1, Math.ceil(Math.max(a.x, b.x) + radius));
+        const maxY = Math.min(this.mask.height - 1, Math.ceil(Math.max(a.y, b.y) + radius));
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const index = y * this.mask.width + x;
+                if (this.covered[index] || !this.mask.data[index]) continue;
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSq)) : 0;
+                const ex = px - (a.x + t * dx);
+                const ey = py - (a.y + t * dy);
+                if (ex * ex + ey * ey <= radius * radius) {
+                    this.covered[index] = 1;
+                    this.cellCovered[this.getCell(x, y)]++;
+                    this.coveredArea++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Mark a trace and its end pads
+     * @param {Array} points - Trace path in pixels
+     * @param {number} halfWidth - Half the trace width
+     * @param {number} padRadius - Outer pad radius
+     * @param {boolean} startPad - Whether the trace starts with a pad
+     */
+    stampTrace(points, halfWidth, padRadius, startPad = true) {
+        // Copies of a repeating pattern cover their part of the mask too
+        const copies = [points, ...this.copies.map(m => points.map(p => ({ x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] })))];
+        copies.forEach(copy => {
+            for (let i = 1; i < copy.length; i++) {
+                this.stampStroke(copy[i - 1], copy[i], halfWidth);
+            }
+            if (startPad) {
+                this.stampStroke(copy[0], copy[0], padRadius);
+            }
+            this.stampStroke(copy[copy.length - 1], copy[copy.length - 1], padRadius);
+        });
+    }
+}
+
+/**
+ * Binary min-heap of numeric items keyed by priority, used by the trace router
+ */
+class RouteQueue {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        const items = this.items;
+        const priorities = this.priorities;
+        let i = items.length;
+        items.push(item);
+        priorities.push(priority);
+
+        // Sift up
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            items[i] = items[parent];
+            priorities[i] = priorities[parent];
+            i = parent;
+        }
+        items[i] = item;
+        priorities[i] = priority;
+    }
+
+    pop() {
+        const items = this.items;
+        const priorities = this.priorities;
+        const top = items[0];
+        const lastItem = items.pop();
+        const lastPriority = priorities.pop();
+        if (items.length === 0) return top;
+
+        // Sift down
+        let i = 0;
+        const length = items.length;
+        while (true) {
+            const left = 2 * i + 1;
+            if (left >= length) break;
+            const right = left + 1;
+            const child = right < length && priorities[right] < priorities[left] ? right : left;
+            if (priorities[child] >= lastPriority) break;
+            items[i] = items[child];
+            priorities[i] = priorities[child];
+            i = child;
+        }
+        items[i] = lastItem;
+        priorities[i] = lastPriority;
+        return top;
+    }
+}
+
 class PatternGenerator {
     constructor() {
         this.segments = [];
         this.usedSpace = [];
         this.canvas = null; // Will be set when needed for text detection
+        this.random = Math.random; // Replaced by a seeded generator for each run
+    }
+
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - 32-bit unsigned integer seed
+     * @returns {Function} - Function returning floats in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Create a fresh random seed
+     * @returns {number} - 32-bit unsigned integer seed
+     */
+    createSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Reset the random generator for a generation run
+     * @param {number|string} seed - Seed to use, or empty to pick a new one
+     * @returns {number} - The seed actually used
+     */
+    seedRandom(seed) {
+        const parsed = parseInt(seed, 10);
+        const usedSeed = isNaN(parsed) ? this.createSeed() : parsed >>> 0;
+        this.random = this.createRandom(usedSeed);
+        return usedSeed;
     }
 
     /**
      * Generate pattern using a rasterized mask canvas
-     * @param {HTMLCanvasElement} maskCanvas - Canvas with black shapes on white background
+     * @param {HTMLCanvasElement|MaskBitmap} maskCanvas - Canvas with black shapes on white background, or a bitmap read from one
      * @param {Object} options - Configuration options
      * @returns {Object} - Pattern data with paths and circles
      */
@@ -18,17 +732,60 @@ class PatternGenerator {
             lineLengthMax = 150,
             lineThickness = 2,
             circleRadius = 4,
-            style = 'organic',
+            style = 'organic', // 'organic', 'grid', 'routed' or 'growth'
             lineColor = '#00ff00',
-            patternScale = 1
+            patternScale = 1,
+            contourRings = 0, // Traces following the shape outlines, placed before the fill
+            contourSpacing = 14, // Distance between rings in canvas pixels
+            contourFill = true, // Fill the area inside the rings with the selected style
+            edgeClearance = 0, // Extra distance in canvas pixels between traces or pads and the shape edge
+            angles = PatternGenerator.ANGLE_PRESETS['45'], // Allowed trace angles in degrees, or a preset name
+            angleWeights = [], // Relative weight per angle (defaults to 1)
+            busFrequency = 0, // Share of candidates (0-1) that are bundles of parallel traces
+            busWidth = 4, // Traces per bus (2-8)
+            busPitch = 10, // Distance between bus traces in canvas pixels
+            densityMap = null, // DensityMap, preset name or { width, height, data } scaling density across the canvas
+            footprintCount = 0, // Component footprints placed before the fill, with traces grown from their pins
+            footprintTypes = PatternGenerator.FOOTPRINT_TYPES, // Any of 'qfp', 'soic', 'passive', 'crystal'
+            footprintSize = 1, // Footprint size factor (pin count for chips, body length for two-pin parts)
+            branchProbability = 0.35, // Growth style: chance (0-1) to try a branch at each point along a trace
+            maxDepth = 4, // Growth style: how many times branches may branch again
+            targetCoverage = 0, // Keep adding traces in under-filled areas until this share (0-1) of the mask is covered
+            maxAttempts = 5000, // Candidates the coverage pass may test before giving up
+            tileable = false, // Wrap placement and collision checks around the canvas edges for a seamless tile
+            symmetry = 'none', // 'none', 'horizontal' (left mirrors right), 'vertical' (top mirrors bottom), 'quad' or 'radial'
+            symmetryOrder = 6, // Copies around the centre for radial symmetry
+            symmetryCenter = null, // Centre of symmetry in canvas pixels (defaults to the canvas centre)
+            reroll = null, // { segments, footprints, region }: keep a pattern's traces (rawSegments, canvas pixels) outside region and regenerate inside it
+            lockedSegments = [], // Traces (canvas pixels) kept as they are, placed before everything else
+            obstacles = [], // Traces (canvas pixels) that new traces keep clear of without becoming part of the pattern, e.g. manual traces
+            cleanup = false, // Join traces that continue each other in a straight line, drop stubs and pads on straight-through forks
+            stubLength = null, // Cleanup: traces standing on their own shorter than this are dropped (defaults to the pad diameter)
+            onProgress = null, // Called with { tested, total, placed, snapshot() } during placement
+            progressInterval = 200 // Candidates tested between progress reports
         } = options;
 
         this.segments = [];
         this.usedSpace = [];
-
-        const ctx = maskCanvas.getContext('2d');
-        const canvasWidth = maskCanvas.width;
-        const canvasHeight = maskCanvas.height;
+        const seed = this.seedRandom(options.seed);
+
+        // Read the mask pixels once; every inside-test below uses the bitmap
+        let mask = maskCanvas instanceof MaskBitmap ? maskCanvas : MaskBitmap.fromCanvas(maskCanvas);
+        const canvasWidth = mask.width;
+        const canvasHeight = mask.height;
+
+        // A tile or a symmetric pattern repeats: traces are placed once and shown at every copy,
+        // so the mask only keeps what fits at all copies and collision checks see them all
+        const tile = tileable ? { width: canvasWidth, height: canvasHeight } : null;
+        const symmetrySettings = !tileable && symmetry !== 'none'
+            ? { type: symmetry, order: Math.max(2, Math.round(symmetryOrder)), center: symmetryCenter || { x: canvasWidth / 2, y: canvasHeight / 2 } }
+            : null;
+        const copies = this.getRepeatMatrices({ tile, symmetry: symmetrySettings });
+        if (tileable) {
+            mask = mask.asTile();
+        } else if (copies.length > 0) {
+            mask = mask.symmetrized(copies);
+        }
 
         // Scale the bounds for pattern generation
         const scaledWidth = canvasWidth / patternScale;
@@ -54,60 +811,773 @@ class PatternGenerator {
         const avgLength = (scaledLineLengthMin + scaledLineLengthMax) / 2;
         const gridSize = scaledDensity;
         const minSpacing = Math.max(gridSize * 0.3, scaledLineThickness + scaledCircleRadius);
+        const angleSet = this.createAngleSet(angles, angleWeights);
+        const densitySource = DensityMap.from(densityMap, mask.width, mask.height);
+        // Density at a point in scaled space
+        const densityAt = densitySource
+            ? (point) => densitySource.valueAt(point.x * patternScale / mask.width, point.y * patternScale / mask.height)
+            : null;
+        // Distances from the mask edge (in canvas pixels) that trace centrelines and pad centres need,
+        // so neither the stroke nor the pad ring pokes out of the shape
+        const traceMargin = edgeClearance + scaledLineThickness / 2;
+        const padMargin = edgeClearance + scaledCircleRadius + scaledLineThickness / 2;
+
+        const context = {
+            patternScale,
+            lineThickness: scaledLineThickness,
+            circleRadius: scaledCircleRadius,
+            lineColor,
+            seed,
+            footprints: [],
+            tile,
+            symmetry: symmetrySettings,
+            options
+        };
 
-        // Create potential segments with variable lengths
-        const potentialSegments = this.createPotentialSegments(bounds, gridSize, style, avgLength, scaledLineLengthMin, scaledLineLengthMax);
+        const placedSegments = [];
+        const placedIndex = new SegmentIndex(avgLength, copies.map(m => (p) => ({
+            x: m[0] * p.x + m[2] * p.y + m[4] / patternScale,
+            y: m[1] * p.x + m[3] * p.y + m[5] / patternScale
+        })));
+
+        // Locked traces come first, so everything else is fitted around them
+        lockedSegments.forEach(({ group, ...segment }) => {
+            const locked = this.scaleSegment(segment, 1 / patternScale);
+            placedSegments.push(locked);
+            placedIndex.insert(locked);
+        });
 
-        // Filter segments to only those inside the mask (simplified check)
-        const validSegments = potentialSegments.filter(segment => {
-            // Scale segment coordinates to original canvas space for mask checking
-            const scaledStart = {
-                x: segment.start.x * patternScale,
-                y: segment.start.y * patternScale
-            };
-            const scaledEnd = {
-                x: segment.end.x * patternScale,
-                y: segment.end.y * patternScale
-            };
+        // Obstacles go into the index only, not into placedSegments: they are kept clear of but not part of the result
+        obstacles.forEach(({ group, ...segment }) => placedIndex.insert(this.scaleSegment(segment, 1 / patternScale)));
 
-            // Check endpoints only (faster)
-            const startInside = this.isPointInMask(scaledStart, maskCanvas, ctx);
-            const endInside = this.isPointInMask(scaledEnd, maskCanvas, ctx);
+        // With symmetry every style starts its candidates in the sector that is repeated
+        const inSector = this.getSymmetrySector(symmetrySettings, patternScale);
+        let startsIn = inSector;
 
-            if (!startInside || !endInside) {
-                return false;
+        // Re-rolling a region: traces touching it are dropped, the rest stay in place and every
+        // new candidate must start inside it, so it is checked against the kept traces around it
+        if (reroll) {
+            const inRegion = this.getRegionTest(reroll.region, copies);
+            startsIn = point => inSector(point) && inRegion({ x: point.x * patternScale, y: point.y * patternScale });
+            this.keepOutsideRegion(reroll.segments || [], inRegion, patternScale).forEach(segment => {
+                placedSegments.push(segment);
+                placedIndex.insert(segment);
+            });
+
+            // Footprints are kept whole and their courtyards cut from the mask, as after placeFootprints
+            const margin = minSpacing + scaledLineThickness / 2;
+            const boxes = [];
+            (reroll.footprints || []).forEach(({ group, ...footprint }) => {
+                const kept = this.scaleFootprint(footprint, 1 / patternScale);
+                const courtyard = this.getFootprintCourtyard(kept);
+                const box = { minX: courtyard.minX - margin, minY: courtyard.minY - margin, maxX: courtyard.maxX + margin, maxY: courtyard.maxY + margin };
+                context.footprints.push(kept);
+                boxes.push(box, ...this.getBoxImages(box, placedIndex.images));
+            });
+            if (boxes.length > 0) {
+                mask = mask.withoutRects(boxes.map(box => ({
+                    minX: box.minX * patternScale,
+                    minY: box.minY * patternScale,
+                    maxX: box.maxX * patternScale,
+                    maxY: box.maxY * patternScale
+                })));
             }
+        }
 
-            // For curved segments, check midpoint
-            if (segment.points && segment.points.length > 2) {
-                const midPoint = segment.points[Math.floor(segment.points.length / 2)];
-                const scaledMid = {
-                    x: midPoint.x * patternScale,
-                    y: midPoint.y * patternScale
-                };
-                return this.isPointInMask(scaledMid, maskCanvas, ctx);
+        const reportProgress = (tested, total) => {
+            if (onProgress) {
+                onProgress({
+                    tested,
+                    total,
+                    placed: placedSegments.length,
+                    snapshot: () => this.assemblePattern(placedSegments, context)
+                });
             }
+        };
 
-            // For straight segments, check midpoint only
-            const midPoint = {
-                x: (scaledStart.x + scaledEnd.x) / 2,
-                y: (scaledStart.y + scaledEnd.y) / 2
-            };
-            return this.isPointInMask(midPoint, maskCanvas, ctx);
-        });
+        // Measure coverage of the area left to fill, top it up if asked, and attach the statistics
+        const finish = (fill = true) => {
+            const coverage = new CoverageMap(mask, Math.max(8, avgLength * patternScale / 2), copies);
+            placedSegments.forEach(segment => coverage.stampTrace(
+                segment.points.map(p => ({ x: p.x * patternScale, y: p.y * patternScale })),
+                scaledLineThickness / 2, scaledCircleRadius + scaledLineThickness / 2, segment.startPad !== false));
+
+            if (fill && targetCoverage > 0 && coverage.ratio < targetCoverage) {
+                this.fillToCoverage(mask, coverage, {
+                    patternScale,
+                    style,
+                    traceMargin,
+                    padMargin,
+                    angleSet,
+                    densityAt,
+                    minSpacing,
+                    lineThickness: scaledLineThickness,
+                    circleRadius: scaledCircleRadius,
+                    minLength: scaledLineLengthMin,
+                    maxLength: scaledLineLengthMax,
+                    targetCoverage,
+                    maxAttempts,
+                    progressInterval,
+                    startsIn
+                }, placedSegments, placedIndex, reportProgress);
+            }
 
-        // Sort by length (longer first) - this ensures longest lines are placed first
-        validSegments.sort((a, b) => b.length - a.length);
+            const pattern = this.assemblePattern(placedSegments, context);
+            pattern.stats = this.measurePattern(pattern, pattern.rawSegments, coverage, 1);
+            return pattern;
+        };
 
-        // Place segments starting from longest
-        const placedSegments = [];
-        for (const segment of validSegments) {
-            // Only place if length is within range
-            if (segment.length >= scaledLineLengthMin && segment.length <= scaledLineLengthMax) {
-                if (this.canPlaceSegment(segment, placedSegments, minSpacing, scaledLineThickness, scaledCircleRadius)) {
-                    placedSegments.push(segment);
+        if (contourRings > 0) {
+            this.placeContourSegments(mask, {
+                patternScale,
+                rings: contourRings,
+                spacing: contourSpacing,
+                traceMargin,
+                padMargin,
+                minSpacing,
+                lineThickness: scaledLineThickness,
+                circleRadius: scaledCircleRadius,
+                minLength: scaledLineLengthMin,
+                maxLength: scaledLineLengthMax,
+                startsIn
+            }, placedSegments, placedIndex);
+        }
+
+        if (footprintCount > 0 && !reroll) {
+            // Footprints and their pin traces take their room first; the fill then sees them as holes in the mask
+            mask = this.placeFootprints(mask, {
+                patternScale,
+                count: footprintCount,
+                types: footprintTypes,
+                size: footprintSize,
+                traceMargin,
+                padMargin,
+                angleSet,
+                bounds,
+                minSpacing,
+                lineThickness: scaledLineThickness,
+                circleRadius: scaledCircleRadius,
+                minLength: scaledLineLengthMin,
+                maxLength: scaledLineLengthMax
+            }, placedSegments, placedIndex, context.footprints);
+        }
+
+        if (contourRings > 0 && !contourFill) {
+            reportProgress(0, 0);
+            return finish(false);
+        }
+
+        if (style === 'routed') {
+            // Pads are scattered and connected by a pathfinder instead of testing random candidates
+            this.placeRoutedSegments(mask, {
+                patternScale,
+                traceMargin,
+                padMargin,
+                angleSet,
+                densityAt,
+                bounds,
+                gridSize,
+                minSpacing,
+                lineThickness: scaledLineThickness,
+                circleRadius: scaledCircleRadius,
+                minLength: scaledLineLengthMin,
+                maxLength: scaledLineLengthMax,
+                progressInterval,
+                inSector,
+                startsIn
+            }, placedSegments, placedIndex, reportProgress);
+
+            return finish();
+        }
+
+        if (style === 'growth') {
+            // Trees grown from seed pads, branching off existing traces in T-junctions
+            this.placeGrowthSegments(mask, {
+                patternScale,
+                traceMargin,
+                padMargin,
+                angleSet,
+                densityAt,
+                bounds,
+                gridSize,
+                minSpacing,
+                lineThickness: scaledLineThickness,
+                circleRadius: scaledCircleRadius,
+                minLength: scaledLineLengthMin,
+                maxLength: scaledLineLengthMax,
+                branchProbability,
+                maxDepth,
+                progressInterval,
+                startsIn
+            }, placedSegments, placedIndex, reportProgress);
+
+            return finish();
+        }
+
+        // Create potential segments with variable lengths
+        // Bus traces sit far enough apart for their end pads to fit side by side
+        const circleClearance = 2 * scaledCircleRadius + scaledLineThickness + 3;
+        const bus = {
+            frequency: busFrequency,
+            width: Math.max(2, Math.min(8, Math.round(busWidth))),
+            pitch: Math.max(busPitch / patternScale, circleClearance + 0.5)
+        };
+        const potentialSegments = this.createPotentialSegments(bounds, gridSize, style, avgLength, scaledLineLengthMin, scaledLineLengthMax, angleSet, bus, densityAt);
+
+        // Keep only segments whose whole path and pads stay inside the mask
+        // (and, with symmetry, that start in the sector that is repeated)
+        const validSegments = potentialSegments.filter(segment => startsIn(segment.start) &&
+            this.isSegmentInMask(segment, mask, patternScale, traceMargin, padMargin));
+
+        // Sort by length (longer first) - this ensures longest lines are placed first
+        validSegments.sort((a, b) => b.length - a.length);
+
+        // Place segments starting from longest
+        validSegments.forEach((segment, index) => {
+            if (index % progressInterval === 0) {
+                reportProgress(index, validSegments.length);
+            }
+            // Only place if length is within range
+            if (segment.length >= scaledLineLengthMin && segment.length <= scaledLineLengthMax) {
+                // Sparse areas of a density map also keep traces further apart (up to three times)
+                const spacing = segment.density !== undefined ? minSpacing * (3 - 2 * segment.density) : minSpacing;
+                if (this.canPlaceSegment(segment, placedIndex, spacing, scaledLineThickness, scaledCircleRadius)) {
+                    // A bus is placed as its individual traces
+                    (segment.traces || [segment]).forEach(trace => {
+                        placedSegments.push(trace);
+                        placedIndex.insert(trace);
+                    });
                 }
             }
+        });
+        reportProgress(validSegments.length, validSegments.length);
+
+        return finish();
+    }
+
+    /**
+     * Coverage pass: keep testing short candidates in the cells furthest below the
+     * target until the mask is covered enough or the attempt budget runs out.
+     * Cells are picked by how much they lack, so empty patches fill first
+     * @param {MaskBitmap} mask - Occupancy bitmap of the area to fill
+     * @param {CoverageMap} coverage - Coverage of the placed traces, updated in place
+     * @param {Object} settings - Scaled sizes, spacing, length range, target and budget
+     * @param {Array} placedSegments - Accepted traces, filled in place
+     * @param {SegmentIndex} placedIndex - Index over placedSegments, filled in place
+     * @param {Function} reportProgress - Called with (tested, total)
+     */
+    fillToCoverage(mask, coverage, settings, placedSegments, placedIndex, reportProgress) {
+        const { patternScale, style, traceMargin, padMargin, angleSet, densityAt, minSpacing, lineThickness, circleRadius, minLength, maxLength, targetCoverage, maxAttempts, progressInterval, startsIn = () => true } = settings;
+        const { cellSize, cols } = coverage;
+
+        // Each cell aims for the target, scaled by the density map where there is one
+        const cellTargets = Array.from(coverage.cellArea, (area, cell) => {
+            if (!densityAt) return area * targetCoverage;
+            const centre = { x: ((cell % cols) + 0.5) * cellSize / patternScale, y: (Math.floor(cell / cols) + 0.5) * cellSize / patternScale };
+            return area * targetCoverage * densityAt(centre);
+        });
+
+        for (let attempt = 0; attempt < maxAttempts && coverage.ratio < targetCoverage; attempt++) {
+            if (attempt % progressInterval === 0) {
+                reportProgress(attempt, maxAttempts);
+            }
+
+            const deficits = cellTargets.map((target, cell) => Math.max(0, target - coverage.cellCovered[cell]));
+            if (!deficits.some(deficit => deficit > 0)) break;
+            const cell = this.pickWeighted(deficits.map((_, i) => i), deficits);
+
+            const x = ((cell % cols) + this.random()) * cellSize / patternScale;
+            const y = (Math.floor(cell / cols) + this.random()) * cellSize / patternScale;
+            if (!mask.has(x * patternScale, y * patternScale) || !startsIn({ x, y })) continue;
+
+            // Gaps are usually small, so a candidate that does not fit is shortened before giving up
+            const angle = this.pickAngle(angleSet) + (this.random() < 0.5 ? 180 : 0);
+            const curves = style === 'grid' ? 0 : Math.floor(this.random() * 3);
+            const spacing = densityAt ? minSpacing * (3 - 2 * densityAt({ x, y })) : minSpacing;
+            let segment = null;
+            for (let length = minLength + this.random() * (maxLength - minLength); length >= minLength; length *= 0.6) {
+                const candidate = this.createCurvedSegment(x, y, angle, length, curves, angleSet);
+                if (this.isSegmentInMask(candidate, mask, patternScale, traceMargin, padMargin) &&
+                    this.canPlaceSegment(candidate, placedIndex, spacing, lineThickness, circleRadius)) {
+                    segment = candidate;
+                    break;
+                }
+            }
+            if (!segment) continue;
+
+            placedSegments.push(segment);
+            placedIndex.insert(segment);
+            coverage.stampTrace(segment.points.map(p => ({ x: p.x * patternScale, y: p.y * patternScale })),
+                lineThickness / 2, circleRadius + lineThickness / 2);
+        }
+        reportProgress(maxAttempts, maxAttempts);
+    }
+
+    /**
+     * Statistics for a finished pattern
+     * @param {Object} pattern - Assembled pattern
+     * @param {Array} placedSegments - The traces it was assembled from (scaled space)
+     * @param {CoverageMap} coverage - Coverage of those traces
+     * @param {number} patternScale - Scale back to canvas pixels
+     * @returns {Object} - { segments, traceLength, pads, forks, coverage, coveredArea, area } with lengths and areas in canvas pixels,
+     *   counting every symmetric copy, and the cleanup counts when the pattern was cleaned up
+     */
+    measurePattern(pattern, placedSegments, coverage, patternScale) {
+        let traceLength = 0;
+        placedSegments.forEach(segment => {
+            for (let i = 1; i < segment.points.length; i++) {
+                traceLength += this.pointDistance(segment.points[i - 1], segment.points[i]) * patternScale;
+            }
+        });
+
+        // Symmetric copies are separate traces on screen; tile copies are the same traces
+        const shown = pattern.symmetry ? this.getRepeatMatrices(pattern).length + 1 : 1;
+        const stats = {
+            segments: pattern.segments.length * shown,
+            traceLength: traceLength * shown,
+            pads: pattern.circles.length * shown,
+            forks: pattern.forks.length * shown,
+            coverage: coverage.ratio,
+            coveredArea: coverage.coveredArea,
+            area: coverage.area
+        };
+        if (pattern.cleanup) {
+            stats.cleanup = pattern.cleanup;
+        }
+        return stats;
+    }
+
+    /**
+     * Matrices of the copies a repeating pattern shows besides itself: shifts by one
+     * tile in every direction for a seamless tile, mirrors or rotations about the
+     * centre for symmetry
+     * @param {Object} repeat - { tile: { width, height }, symmetry: { type, order, center } }, e.g. a pattern
+     * @returns {Array} - [a, b, c, d, e, f] SVG matrices in canvas pixels
+     */
+    getRepeatMatrices({ tile = null, symmetry = null } = {}) {
+        if (tile) {
+            const matrices = [];
+            [-1, 0, 1].forEach(tx => [-1, 0, 1].forEach(ty => {
+                if (tx || ty) {
+                    matrices.push([1, 0, 0, 1, tx * tile.width, ty * tile.height]);
+                }
+            }));
+            return matrices;
+        }
+        if (!symmetry) {
+            return [];
+        }
+
+        const { x: cx, y: cy } = symmetry.center;
+        const mirrorX = [-1, 0, 0, 1, 2 * cx, 0];
+        const mirrorY = [1, 0, 0, -1, 0, 2 * cy];
+        switch (symmetry.type) {
+            case 'horizontal':
+                return [mirrorX];
+            case 'vertical':
+                return [mirrorY];
+            case 'quad':
+                return [mirrorX, mirrorY, [-1, 0, 0, -1, 2 * cx, 2 * cy]];
+            case 'radial': {
+                const matrices = [];
+                for (let k = 1; k < symmetry.order; k++) {
+                    const angle = 2 * Math.PI * k / symmetry.order;
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    matrices.push([cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy]);
+                }
+                return matrices;
+            }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Test for the sector of a symmetric pattern that candidates are drawn from
+     * (left half, top half, top-left quarter or one wedge); everything else is a copy
+     * @param {Object} symmetry - { type, order, center } or null
+     * @param {number} patternScale - Scale of the points tested
+     * @returns {Function} - Receives a point in scaled space
+     */
+    getSymmetrySector(symmetry, patternScale) {
+        if (!symmetry) {
+            return () => true;
+        }
+        const cx = symmetry.center.x / patternScale;
+        const cy = symmetry.center.y / patternScale;
+        switch (symmetry.type) {
+            case 'horizontal':
+                return point => point.x <= cx;
+            case 'vertical':
+                return point => point.y <= cy;
+            case 'quad':
+                return point => point.x <= cx && point.y <= cy;
+            case 'radial': {
+                const wedge = 2 * Math.PI / symmetry.order;
+                return point => {
+                    const angle = Math.atan2(point.y - cy, point.x - cx);
+                    return (angle < 0 ? angle + 2 * Math.PI : angle) < wedge;
+                };
+            }
+            default:
+                return () => true;
+        }
+    }
+
+    /**
+     * Test for the region of a re-roll. In a repeating pattern a point also counts
+     * when one of its copies lies in the region, so a region drawn over a copy works
+     * @param {Object} region - { x, y, width, height } rectangle, or a MaskBitmap (or plain
+     *   { width, height, data }) in canvas pixels
+     * @param {Array} copies - Matrices from getRepeatMatrices
+     * @returns {Function} - Receives a point in canvas pixels
+     */
+    getRegionTest(region, copies = []) {
+        let inside;
+        if (region.data) {
+            const bitmap = region instanceof MaskBitmap ? region : new MaskBitmap(region.width, region.height, region.data);
+            inside = (x, y) => bitmap.has(x, y);
+        } else {
+            inside = (x, y) => x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height;
+        }
+        return point => inside(point.x, point.y) ||
+            copies.some(m => inside(m[0] * point.x + m[2] * point.y + m[4], m[1] * point.x + m[3] * point.y + m[5]));
+    }
+
+    /**
+     * Traces of a finished pattern that stay when a region is re-rolled: locked traces and
+     * those with no point of their path (sampled every canvas pixel) in the region
+     * @param {Array} segments - pattern.rawSegments, in canvas pixels
+     * @param {Function} inRegion - From getRegionTest
+     * @param {number} patternScale - Scale of the returned traces
+     * @returns {Array} - Kept traces in scaled space
+     */
+    keepOutsideRegion(segments, inRegion, patternScale) {
+        const touches = (points) => points.some((point, i) => {
+            if (i === 0) return inRegion(point);
+            const from = points[i - 1];
+            const steps = Math.max(1, Math.ceil(this.pointDistance(from, point)));
+            for (let s = 1; s <= steps; s++) {
+                if (inRegion({ x: from.x + (point.x - from.x) * s / steps, y: from.y + (point.y - from.y) * s / steps })) {
+                    return true;
+                }
+            }
+            return false;
+        });
+
+        // Merged patterns tag traces with their group; the caller tags them again
+        return this.dropOrphanBranches(segments
+            .filter(segment => segment.locked || !touches(segment.points))
+            .map(({ group, ...segment }) => this.scaleSegment(segment, 1 / patternScale)));
+    }
+
+    /**
+     * A branch whose parent trace was removed or moved away no longer starts in a
+     * T-junction; it loses its branch mark and gets an ordinary pad
+     * @param {Array} segments - Traces, the branches checked against the others
+     * @returns {Array} - The traces, orphaned branches replaced by unmarked copies
+     */
+    dropOrphanBranches(segments) {
+        return segments.map(segment => {
+            if (!segment.branch) return segment;
+            const onParent = segments.some(other => other !== segment && this.pointToSegmentDistance(segment.start, other) < 1);
+            if (onParent) return segment;
+            const { branch, ...orphan } = segment;
+            return orphan;
+        });
+    }
+
+    /**
+     * Traces an edited trace runs into: strokes closer than a trace width, or a pad
+     * closer than its radius plus a trace width. Traces joined to it (one ends or
+     * branches on the other) do not count
+     * @param {Array} segments - Traces in canvas pixels (pattern.rawSegments)
+     * @param {number} index - The edited trace
+     * @param {Array} copies - Matrices of the repeated copies (getRepeatMatrices), checked too
+     * @param {number} lineThickness - Trace width in canvas pixels
+     * @param {number} circleRadius - Pad radius in canvas pixels
+     * @returns {Array} - Indices of the traces it runs into
+     */
+    findTraceConflicts(segments, index, copies, lineThickness, circleRadius) {
+        const edited = segments[index];
+        const reach = circleRadius + lineThickness;
+        const box = SegmentIndex.getBounds(edited);
+        const ends = segment => [segment.points[0], segment.points[segment.points.length - 1]];
+        const endsOn = (a, b, distance) => ends(a).some(point => this.pointToSegmentDistance(point, b) < distance);
+        const strokesMeet = (a, b) => a.points.some((from, i) => i > 0 && b.points.some((to, k) => k > 0 &&
+            this.segmentToSegmentDistance(a.points[i - 1], from, b.points[k - 1], to) < lineThickness));
+
+        const conflicts = new Set();
+        [[1, 0, 0, 1, 0, 0], ...copies].forEach((m, view) => {
+            segments.forEach((segment, i) => {
+                if (conflicts.has(i) || (i === index && view === 0)) return;
+                const other = {
+                    points: segment.points.map(p => ({ x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] }))
+                };
+                const bounds = SegmentIndex.getBounds(other);
+                if (bounds.minX > box.maxX + reach || bounds.maxX < box.minX - reach ||
+                    bounds.minY > box.maxY + reach || bounds.maxY < box.minY - reach) {
+                    return;
+                }
+                if (endsOn(edited, other, 1) || endsOn(other, edited, 1)) return;
+                if (strokesMeet(edited, other) || endsOn(edited, other, reach) || endsOn(other, edited, reach)) {
+                    conflicts.add(i);
+                }
+            });
+        });
+        return [...conflicts];
+    }
+
+    /**
+     * Work out traces, pads and forks again from pattern.rawSegments after they were
+     * edited, the way assemblePattern did after generation (each settings group on its
+     * own, manual traces in the shared style). Pads that stay where they were keep their
+     * type; coverage is kept from the generation, the other statistics are updated
+     * @param {Object} pattern - Pattern with rawSegments, changed in place
+     * @returns {Object} - The same pattern
+     */
+    rebuildPattern(pattern) {
+        const pads = new Map();
+        pattern.circles.forEach(circle => pads.set(this.getPointKey(circle), circle.pad));
+        pattern.forks.forEach(fork => pads.set(this.getPointKey(fork.point), fork.pad));
+
+        pattern.rawSegments = this.dropOrphanBranches(pattern.rawSegments);
+        pattern.segments = [];
+        pattern.circles = [];
+        pattern.forks = [];
+        const parts = pattern.groups
+            ? pattern.groups.map((style, index) => ({
+                style,
+                group: index,
+                raw: pattern.rawSegments.filter(segment => !segment.manual && (segment.group || 0) === index)
+            })).concat({ style: {}, raw: pattern.rawSegments.filter(segment => segment.manual) })
+            : [{ style: {}, raw: pattern.rawSegments }];
+        parts.forEach(({ style, group, raw }) => {
+            const patternScale = style.patternScale || pattern.patternScale || 1;
+            const part = this.assemblePattern(raw.map(segment => this.scaleSegment(segment, 1 / patternScale)), {
+                patternScale,
+                lineThickness: pattern.lineThickness,
+                circleRadius: style.circleRadius !== undefined ? style.circleRadius : pattern.circleRadius,
+                lineColor: pattern.lineColor,
+                seed: pattern.seed,
+                options: { padStyle: pattern.padStyle, padMix: pattern.padMix }
+            });
+            const tag = item => (group !== undefined ? { ...item, group } : item);
+            // A cleaned-up pattern keeps its straight-through forks without pads
+            const forks = pattern.cleanup ? part.forks.filter(fork => !this.isStraightFork(fork, raw)) : part.forks;
+            pattern.segments.push(...part.segments.map(tag));
+            pattern.circles.push(...part.circles.map(tag));
+            pattern.forks.push(...forks.map(tag));
+        });
+
+        pattern.circles.forEach(circle => {
+            circle.pad = pads.get(this.getPointKey(circle)) || circle.pad;
+        });
+        pattern.forks.forEach(fork => {
+            fork.pad = pads.get(this.getPointKey(fork.point)) || fork.pad;
+        });
+
+        if (pattern.stats) {
+            const { coverage, coveredArea, area } = pattern.stats;
+            pattern.stats = this.measurePattern(pattern, pattern.rawSegments, { ratio: coverage, coveredArea, area }, 1);
+        }
+        return pattern;
+    }
+
+    /**
+     * Split objects into settings groups: objects with the same overrides share
+     * one group, in order of first appearance. Keep-outs belong to no group
+     * @param {Array} objects - Objects ({ type, data, keepOut, overrides })
+     * @returns {Array} - [{ overrides, objects }]
+     */
+    groupObjectsBySettings(objects) {
+        const groups = [];
+        const byKey = new Map();
+        objects.forEach(obj => {
+            if (obj.keepOut) return;
+            const overrides = this.normalizeOverrides(obj.overrides);
+            const key = this.getGroupKey(overrides);
+            if (!byKey.has(key)) {
+                byKey.set(key, { overrides, objects: [] });
+                groups.push(byKey.get(key));
+            }
+            byKey.get(key).objects.push(obj);
+        });
+        return groups;
+    }
+
+    /**
+     * Keep only the supported override keys that have a value, in a fixed order
+     */
+    normalizeOverrides(overrides) {
+        const normalized = {};
+        PatternGenerator.OBJECT_OVERRIDES.forEach(key => {
+            if (overrides && overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+                normalized[key] = overrides[key];
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Key of a settings group: its overrides, normalized and serialized. Unlike the
+     * group's index it stays the same when other groups are added or removed
+     */
+    getGroupKey(overrides) {
+        return JSON.stringify(this.normalizeOverrides(overrides));
+    }
+
+    /**
+     * Generate each settings group with its own options and merge the results.
+     * All groups use the same seed; a single group without overrides gives
+     * exactly the pattern generateWithMask would
+     * @param {Array} groups - [{ mask, overrides }] with one mask per group
+     * @param {Object} options - Shared options, as for generateWithMask
+     * @returns {Object} - Merged pattern
+     */
+    generateGroups(groups, options = {}) {
+        if (groups.length === 1 && Object.keys(groups[0].overrides).length === 0) {
+            return this.generateWithMask(groups[0].mask, options);
+        }
+
+        const seed = this.seedRandom(options.seed);
+        const { onProgress = null } = options;
+        const patterns = [];
+        let placedBefore = 0;
+
+        // Locked traces and a re-roll stay with the group of the same overrides. Those of a
+        // group that is gone (its override edited or removed) go to the group without
+        // overrides, or the first one, rather than being dropped
+        const keys = groups.map(group => this.getGroupKey(group.overrides));
+        const defaultKey = this.getGroupKey({});
+        const fallback = Math.max(0, keys.indexOf(defaultKey));
+        const ofGroup = (items, index) => (items || []).filter(item => {
+            const found = keys.indexOf(item.groupKey !== undefined ? item.groupKey : defaultKey);
+            return (found >= 0 ? found : fallback) === index;
+        });
+
+        groups.forEach((group, index) => {
+            const pattern = this.generateWithMask(group.mask, {
+                ...options,
+                ...group.overrides,
+                seed,
+                lockedSegments: ofGroup(options.lockedSegments, index),
+                reroll: options.reroll && {
+                    ...options.reroll,
+                    segments: ofGroup(options.reroll.segments, index),
+                    footprints: ofGroup(options.reroll.footprints, index)
+                },
+                onProgress: onProgress && ((progress) => onProgress({
+                    ...progress,
+                    placed: placedBefore + progress.placed,
+                    snapshot: () => this.mergePatterns([...patterns, progress.snapshot()], groups, { ...options, seed })
+                }))
+            });
+            patterns.push(pattern);
+            placedBefore += pattern.segments.length;
+        });
+
+        return this.mergePatterns(patterns, groups, { ...options, seed });
+    }
+
+    /**
+     * Merge group patterns into one. Elements keep the index of their group (for
+     * the style) and its key (see getGroupKey, to find the group again), and pattern.groups holds the style a group overrides (colour, thickness,
+     * pad radii); everything else comes from the shared options
+     * @param {Array} patterns - One pattern per group (trailing groups may be missing)
+     * @param {Array} groups - [{ overrides }] in the same order
+     * @param {Object} options - Shared options with the seed in use
+     */
+    mergePatterns(patterns, groups, options) {
+        const patternScale = options.patternScale || 1;
+        const merged = this.assemblePattern([], {
+            patternScale,
+            lineThickness: (options.lineThickness || 2) * patternScale,
+            circleRadius: (options.circleRadius || 4) * patternScale,
+            lineColor: options.lineColor || '#00ff00',
+            seed: options.seed,
+            options
+        });
+        merged.groups = [];
+        if (patterns.length > 0 && patterns[0].tile) {
+            merged.tile = patterns[0].tile;
+        }
+        if (patterns.length > 0 && patterns[0].symmetry) {
+            merged.symmetry = patterns[0].symmetry;
+        }
+
+        patterns.forEach((pattern, index) => {
+            const overrides = groups[index].overrides;
+            const style = {};
+            if (overrides.lineColor !== undefined) {
+                style.lineColor = pattern.lineColor;
+            }
+            if (overrides.patternScale !== undefined || overrides.lineThickness !== undefined) {
+                style.lineThickness = pattern.lineThickness;
+            }
+            if (overrides.patternScale !== undefined) {
+                style.patternScale = pattern.patternScale;
+            }
+            if (overrides.patternScale !== undefined || overrides.circleRadius !== undefined) {
+                style.circleRadius = pattern.circleRadius;
+                style.forkRadius = pattern.forkRadius;
+            }
+            merged.groups.push(style);
+
+            const groupKey = this.getGroupKey(overrides);
+            const tag = item => ({ ...item, group: index, groupKey });
+            merged.segments.push(...pattern.segments.map(tag));
+            merged.rawSegments.push(...pattern.rawSegments.map(tag));
+            merged.circles.push(...pattern.circles.map(tag));
+            merged.forks.push(...pattern.forks.map(tag));
+            merged.footprints.push(...pattern.footprints.map(tag));
+        });
+
+        // Group masks never overlap, so counts and areas simply add up (partial results carry no statistics)
+        if (patterns.length > 0 && patterns.every(pattern => pattern.stats)) {
+            const sum = key => patterns.reduce((total, pattern) => total + pattern.stats[key], 0);
+            const area = sum('area');
+            merged.stats = {
+                segments: sum('segments'),
+                traceLength: sum('traceLength'),
+                pads: sum('pads'),
+                forks: sum('forks'),
+                coverage: area > 0 ? sum('coveredArea') / area : 0,
+                coveredArea: sum('coveredArea'),
+                area
+            };
+        }
+        if (patterns.some(pattern => pattern.cleanup)) {
+            const count = key => patterns.reduce((total, pattern) => total + (pattern.cleanup ? pattern.cleanup[key] : 0), 0);
+            merged.cleanup = { merged: count('merged'), stubs: count('stubs'), forks: count('forks') };
+            if (merged.stats) {
+                merged.stats.cleanup = merged.cleanup;
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Turn placed segments (in scaled space) into a renderable pattern:
+     * find forks and endpoints, shorten for circles and scale back to canvas space.
+     * With options.cleanup the traces are cleaned up first (see cleanupSegments), and
+     * forks where two legs run straight through get no pad; pattern.cleanup counts the changes.
+     * Also used for partial results while generation is still running.
+     * @param {Array} placedSegments - Segments accepted by canPlaceSegment
+     * @param {Object} context - Scale, scaled sizes, colour, seed and the original options
+     * @returns {Object} - Pattern data with paths and circles
+     */
+    assemblePattern(placedSegments, context) {
+        const { patternScale, options, lineColor } = context;
+
+        let cleanup = null;
+        if (options.cleanup) {
+            const stubLength = options.stubLength !== undefined && options.stubLength !== null
+                ? options.stubLength * patternScale
+                : 2 * context.circleRadius;
+            cleanup = this.cleanupSegments(placedSegments, stubLength);
+            placedSegments = cleanup.segments;
         }
 
         // Find intersections and create forks
@@ -117,87 +1587,1116 @@ class PatternGenerator {
         const endpoints = this.getEndpoints(placedSegments, forks);
 
         // Shorten segments to leave space for circles at endpoints (unless at forks)
-        const shortenedSegments = this.shortenSegmentsForCircles(placedSegments, forks, scaledCircleRadius);
+        const shortenedSegments = this.shortenSegmentsForCircles(placedSegments, forks, context.circleRadius);
 
         // Scale all coordinates back to original canvas space
-        const scaledSegments = shortenedSegments.map(segment => {
-            if (segment.points && segment.points.length > 2) {
-                // Curved segment
-                return {
-                    ...segment,
-                    start: {
-                        x: segment.start.x * patternScale,
-                        y: segment.start.y * patternScale
-                    },
-                    end: {
-                        x: segment.end.x * patternScale,
-                        y: segment.end.y * patternScale
-                    },
-                    points: segment.points.map(p => ({
-                        x: p.x * patternScale,
-                        y: p.y * patternScale
-                    }))
+        const scaledSegments = shortenedSegments.map(segment => this.scaleSegment(segment, patternScale));
+
+        const scaledCircles = endpoints.map(circle => ({
+            ...circle,
+            x: circle.x * patternScale,
+            y: circle.y * patternScale
+        }));
+
+        // Straight-through forks still keep the traces from being shortened, but are not drawn
+        const shownForks = cleanup ? forks.filter(fork => !this.isStraightFork(fork, placedSegments)) : forks;
+        const scaledForks = shownForks.map(fork => ({
+            ...fork,
+            point: {
+                x: fork.point.x * patternScale,
+                y: fork.point.y * patternScale
+            }
+        }));
+
+        // The courtyard is only needed during placement
+        const scaledFootprints = (context.footprints || []).map(({ courtyard, ...footprint }) => this.scaleFootprint(footprint, patternScale));
+
+        const pattern = {
+            segments: scaledSegments,
+            // Traces as placed (not shortened for pads), kept so a region can be re-rolled later
+            rawSegments: placedSegments.map(segment => this.scaleSegment(segment, patternScale)),
+            circles: scaledCircles,
+            forks: scaledForks,
+            footprints: scaledFootprints,
+            seed: context.seed,
+            patternScale,
+            lineThickness: context.lineThickness,
+            circleRadius: context.circleRadius,
+            forkRadius: options.forkRadius !== undefined ? options.forkRadius * patternScale : context.circleRadius * 1.2,
+            lineColor,
+            cornerStyle: options.cornerStyle || 'sharp',
+            cornerSize: options.cornerSize !== undefined ? options.cornerSize : 6,
+            gradientType: options.gradientType || 'none',
+            gradientColor: options.gradientColor || lineColor,
+            gradientStartPoint: options.gradientStartPoint,
+            gradientEndPoint: options.gradientEndPoint
+        };
+        if (context.tile) {
+            pattern.tile = context.tile;
+        }
+        if (context.symmetry) {
+            pattern.symmetry = context.symmetry;
+        }
+        if (cleanup) {
+            pattern.cleanup = { merged: cleanup.merged, stubs: cleanup.stubs, forks: forks.length - shownForks.length };
+        }
+        this.assignPads(pattern, options.padStyle, options.padMix);
+        return pattern;
+    }
+
+    /**
+     * Tidy placed traces without moving anything, so clearances still hold: drop stubs
+     * (traces shorter than stubLength with nothing attached to them), then join traces
+     * that meet end to end with no other trace there and continue in a straight line.
+     * Locked and manual traces are never dropped, and only joined with their own kind.
+     * Generated traces keep clear of other trace ends, so joins come from drawn and edited traces
+     * @param {Array} segments - Placed traces
+     * @param {number} stubLength - Length below which a trace is a stub, in the traces' units
+     * @returns {Object} - { segments, merged, stubs }: the cleaned traces and how many joins and stubs there were
+     */
+    cleanupSegments(segments, stubLength) {
+        const endpointThreshold = 3; // Same threshold as in findIntersections
+        const key = point => this.getPointKey(point, endpointThreshold);
+
+        const endCounts = new Map();
+        segments.forEach(segment => [segment.start, segment.end].forEach(point => {
+            endCounts.set(key(point), (endCounts.get(key(point)) || 0) + 1);
+        }));
+        const isStub = segment => segment.length < stubLength &&
+            !segment.locked && !segment.manual && segment.startPad !== false &&
+            endCounts.get(key(segment.start)) === 1 && endCounts.get(key(segment.end)) === 1 &&
+            !segments.some(other => other.branch && other !== segment && this.pointToSegmentDistance(other.start, segment) < 1);
+        const result = segments.filter(segment => !isStub(segment));
+        const stubs = segments.length - result.length;
+
+        // A trace end that must stay the start of the joined trace: a branch start or a pin without pad
+        const leads = end => end.segment.branch || end.segment.startPad === false;
+        // Trace ends by point, kept up to date as traces are joined
+        const ends = new Map();
+        const addEnds = segment => [[segment.start, true], [segment.end, false]].forEach(([point, atStart]) => {
+            if (!ends.has(key(point))) {
+                ends.set(key(point), []);
+            }
+            ends.get(key(point)).push({ segment, atStart });
+        });
+        const removeEnds = segment => [segment.start, segment.end].forEach(point => {
+            ends.set(key(point), ends.get(key(point)).filter(end => end.segment !== segment));
+        });
+        result.forEach(addEnds);
+
+        // Points to look at; a join only changes the points at the ends of the joined trace
+        const pending = [...ends.keys()];
+        const removed = new Set();
+        const joinedSegments = [];
+        for (let i = 0; i < pending.length; i++) {
+            const pair = ends.get(pending[i]);
+            if (pair.length !== 2 || pair[0].segment === pair[1].segment) continue;
+            const [a, b] = pair;
+            if ((a.atStart && leads(a)) || (b.atStart && leads(b)) || (leads(a) && leads(b))) continue;
+            if (!!a.segment.locked !== !!b.segment.locked || !!a.segment.manual !== !!b.segment.manual) continue;
+            if (!this.isStraightThrough(this.getLegDirection(a.segment, a.atStart), this.getLegDirection(b.segment, b.atStart))) continue;
+
+            // The joined trace runs from the far end of first, through the meeting point, to the far end of second
+            const [first, second] = leads(b) ? [b, a] : [a, b];
+            const firstPoints = first.atStart ? first.segment.points.slice().reverse() : first.segment.points;
+            const secondPoints = second.atStart ? second.segment.points : second.segment.points.slice().reverse();
+            const points = firstPoints.slice(0, -1).concat(secondPoints.slice(1));
+            const joinedSegment = {
+                ...first.segment,
+                start: points[0],
+                end: points[points.length - 1],
+                angle: this.getDirection(points[0], points[1]),
+                length: first.segment.length + second.segment.length,
+                points
+            };
+            removeEnds(a.segment);
+            removeEnds(b.segment);
+            removed.add(a.segment).add(b.segment);
+            addEnds(joinedSegment);
+            joinedSegments.push(joinedSegment);
+            pending.push(key(joinedSegment.start), key(joinedSegment.end));
+        }
+
+        const kept = segment => !removed.has(segment);
+        return {
+            segments: result.filter(kept).concat(joinedSegments.filter(kept)),
+            merged: joinedSegments.length,
+            stubs
+        };
+    }
+
+    /**
+     * Direction a trace leaves one of its ends in, in degrees
+     */
+    getLegDirection(segment, atStart) {
+        const points = segment.points;
+        return atStart
+            ? this.getDirection(points[0], points[1])
+            : this.getDirection(points[points.length - 1], points[points.length - 2]);
+    }
+
+    /**
+     * Whether two legs leaving the same point continue each other in a straight line
+     */
+    isStraightThrough(direction1, direction2) {
+        const difference = Math.abs(direction1 - direction2) % 360;
+        return Math.abs(difference - 180) < 1;
+    }
+
+    /**
+     * A fork where only two legs meet and run straight through: no junction, so it needs no pad
+     * @param {Object} fork - Fork from findIntersections
+     * @param {Array} segments - The traces the fork was found in (same units as fork.point)
+     */
+    isStraightFork(fork, segments) {
+        if (fork.segments.length !== 2) return false;
+        const [i, j] = fork.segments;
+        const a = segments[i];
+        const b = segments[j];
+        const nearStart = segment => this.pointDistance(segment.start, fork.point) <= this.pointDistance(segment.end, fork.point);
+        // A closed trace meets itself: one leg at each of its ends
+        const aAtStart = i === j ? true : nearStart(a);
+        const bAtStart = i === j ? false : nearStart(b);
+        return this.isStraightThrough(this.getLegDirection(a, aAtStart), this.getLegDirection(b, bAtStart));
+    }
+
+    /**
+     * Copy of a segment with its points, ends and length multiplied by a factor
+     */
+    scaleSegment(segment, factor) {
+        const scale = point => ({ x: point.x * factor, y: point.y * factor });
+        return {
+            ...segment,
+            start: scale(segment.start),
+            end: scale(segment.end),
+            length: segment.length * factor,
+            points: segment.points.map(scale)
+        };
+    }
+
+    /**
+     * Copy of a footprint with its position, sizes and pins multiplied by a factor
+     */
+    scaleFootprint(footprint, factor) {
+        return {
+            ...footprint,
+            x: footprint.x * factor,
+            y: footprint.y * factor,
+            width: footprint.width * factor,
+            height: footprint.height * factor,
+            pinLength: footprint.pinLength * factor,
+            pinWidth: footprint.pinWidth * factor,
+            pins: footprint.pins.map(pin => ({
+                ...pin,
+                x: pin.x * factor,
+                y: pin.y * factor
+            }))
+        };
+    }
+
+    /**
+     * Record a pad type on every endpoint circle and fork. Mixed pads are drawn
+     * from a generator seeded by the pattern seed, so partial results, the
+     * final pattern and later restyling all agree
+     * @param {Object} pattern - Pattern with circles and forks
+     * @param {string} padStyle - One of PatternGenerator.PAD_STYLES, or 'mix'
+     * @param {Object|string} padMix - Weights per pad style for 'mix', e.g. { ring: 3, via: 1 } or "ring:3, via:1"
+     */
+    assignPads(pattern, padStyle = 'ring', padMix = null) {
+        let pick;
+        if (padStyle === 'mix') {
+            const weights = typeof padMix === 'string' ? this.parsePadMix(padMix) : (padMix || {});
+            let styles = PatternGenerator.PAD_STYLES.filter(style => weights[style] > 0);
+            if (styles.length === 0) {
+                styles = PatternGenerator.PAD_STYLES;
+            }
+            const styleWeights = styles.map(style => weights[style] || 1);
+            const random = this.createRandom((pattern.seed ^ 0x5bd1e995) >>> 0);
+            pick = () => this.pickWeighted(styles, styleWeights, random);
+        } else {
+            const style = PatternGenerator.PAD_STYLES.includes(padStyle) ? padStyle : 'ring';
+            pick = () => style;
+        }
+
+        pattern.padStyle = padStyle;
+        pattern.padMix = padMix;
+        pattern.circles.forEach(circle => {
+            circle.pad = pick();
+        });
+        pattern.forks.forEach(fork => {
+            fork.pad = pick();
+        });
+        return pattern;
+    }
+
+    /**
+     * Parse "style:weight" pairs into a weight map (weight defaults to 1)
+     */
+    parsePadMix(text) {
+        const weights = {};
+        text.split(/[,;\s]+/).forEach(entry => {
+            const [style, weight = '1'] = entry.split(':');
+            if (PatternGenerator.PAD_STYLES.includes(style) && parseFloat(weight) > 0) {
+                weights[style] = parseFloat(weight);
+            }
+        });
+        return weights;
+    }
+
+    /**
+     * Check if point is inside the mask (black pixel)
+     * @param {Object} point - Point in mask pixel coordinates
+     * @param {MaskBitmap} mask - Occupancy bitmap of the mask
+     */
+    isPointInMask(point, mask) {
+        return mask.has(point.x, point.y);
+    }
+
+    /**
+     * Check that a whole trace stays inside the mask: its pads and a sample
+     * every pixel along every leg keep the required distance from the edge
+     * @param {Object} segment - Segment (or bus) in scaled space
+     * @param {MaskBitmap} mask - Occupancy bitmap of the mask
+     * @param {number} patternScale - Factor from scaled space to mask pixels
+     * @param {number} traceMargin - Distance from the edge the centreline needs, in mask pixels
+     * @param {number} padMargin - Distance from the edge the end pads need, in mask pixels
+     */
+    isSegmentInMask(segment, mask, patternScale, traceMargin = 0, padMargin = 0) {
+        if (segment.traces) {
+            return segment.traces.every(trace => this.isSegmentInMask(trace, mask, patternScale, traceMargin, padMargin));
+        }
+
+        const hasMargin = (point, margin) =>
+            mask.has(point.x * patternScale, point.y * patternScale) &&
+            mask.clearanceAt(point.x * patternScale, point.y * patternScale) >= margin;
+
+        // Pads are the widest part of a trace, so they reject most candidates cheaply
+        // (a trace grown from a footprint pin has no pad at its start)
+        const startMargin = segment.startPad === false ? traceMargin : padMargin;
+        if (!hasMargin(segment.start, startMargin) || !hasMargin(segment.end, padMargin)) {
+            return false;
+        }
+
+        const points = segment.points;
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+            const steps = Math.max(1, Math.ceil(this.pointDistance(from, to) * patternScale));
+            for (let step = 0; step <= steps; step++) {
+                const t = step / steps;
+                const sample = {
+                    x: from.x + (to.x - from.x) * t,
+                    y: from.y + (to.y - from.y) * t
                 };
+                if (!hasMargin(sample, traceMargin)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Place traces for the routed style: scatter pad pairs inside the mask and
+     * connect each pair with a 45-degree route found on a clearance grid
+     * @param {MaskBitmap} mask - Occupancy bitmap of the mask
+     * @param {Object} settings - Scaled bounds, spacing, sizes and length range
+     * @param {Array} placedSegments - Accepted traces, filled in place
+     * @param {SegmentIndex} placedIndex - Index over placedSegments, filled in place
+     * @param {Function} reportProgress - Called with (tested, total)
+     */
+    placeRoutedSegments(mask, settings, placedSegments, placedIndex, reportProgress) {
+        const { patternScale, traceMargin, padMargin, angleSet, densityAt, bounds, gridSize, minSpacing, lineThickness, circleRadius, minLength, maxLength, progressInterval, inSector = () => true, startsIn = () => true } = settings;
+        const cellClearance = (cell) => {
+            const center = this.getRouteCellCenter(grid, cell.col, cell.row);
+            const x = center.x * patternScale;
+            const y = center.y * patternScale;
+            return mask.has(x, y) ? mask.clearanceAt(x, y) : -1;
+        };
+
+        // One routing lane per cell, so traces in neighbouring lanes keep the minimum spacing
+        const pitch = minSpacing + lineThickness / 2;
+        const cols = Math.max(1, Math.ceil(bounds.width / pitch));
+        const rows = Math.max(1, Math.ceil(bounds.height / pitch));
+        const grid = {
+            cols,
+            rows,
+            pitch,
+            x: bounds.x,
+            y: bounds.y,
+            // 0 = free, -1 = outside the mask, otherwise the net that owns the cell
+            owner: new Int32Array(cols * rows)
+        };
+        // The grid can only step in multiples of 45 degrees, so routes use the allowed headings among
+        // those (all eight if there are none); rarer angles cost up to twice as much per step
+        const allowedAngles = angleSet || this.createAngleSet();
+        const headingWeights = PatternGenerator.ROUTE_DIRECTIONS.map((step, d) => {
+            const index = allowedAngles.angles.indexOf((d * 45) % 180);
+            return index === -1 ? 0 : allowedAngles.weights[index];
+        });
+        const maxWeight = Math.max(...headingWeights);
+        grid.stepCost = headingWeights.map(weight => {
+            if (maxWeight === 0) return 1;
+            return weight > 0 ? Math.min(2, maxWeight / weight) : Infinity;
+        });
+
+        let insideCells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cell = row * cols + col;
+                if (cellClearance({ col, row }) >= traceMargin) {
+                    insideCells.push(cell);
+                } else {
+                    grid.owner[cell] = -1;
+                }
+            }
+        }
+        // Traces placed before routing (contour rings) block their cells and the lanes beside them
+        placedSegments.forEach(segment => {
+            for (let i = 1; i < segment.points.length; i++) {
+                const from = segment.points[i - 1];
+                const to = segment.points[i];
+                const steps = Math.ceil(this.pointDistance(from, to) / (pitch / 2));
+                for (let s = 0; s <= steps; s++) {
+                    const t = steps > 0 ? s / steps : 0;
+                    const cell = {
+                        col: Math.floor((from.x + (to.x - from.x) * t - grid.x) / pitch),
+                        row: Math.floor((from.y + (to.y - from.y) * t - grid.y) / pitch)
+                    };
+                    this.claimRouteZone(grid, cell, 1, -1);
+                }
+            }
+        });
+        insideCells = insideCells.filter(cell => grid.owner[cell] === 0);
+
+        if (insideCells.length === 0) {
+            reportProgress(0, 0);
+            return;
+        }
+
+        // Pads keep the same clearance from other nets as circles do in canPlaceSegment
+        const circleClearance = 2 * circleRadius + lineThickness + 3;
+        const padRadius = Math.ceil(circleClearance / pitch);
+        const avgLength = (minLength + maxLength) / 2;
+        // Enough attempts to cover the mask; most late attempts fail once the board fills up
+        const netCount = Math.max(1, Math.floor(insideCells.length * pitch * pitch / (avgLength * gridSize)));
+        const attempts = netCount * 20;
+        const search = this.createRouteSearch(grid);
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            if (attempt % progressInterval === 0) {
+                reportProgress(attempt, attempts);
+            }
+            const net = attempt + 1;
+
+            const startCell = insideCells[Math.floor(this.random() * insideCells.length)];
+            const start = { col: startCell % cols, row: Math.floor(startCell / cols) };
+            if (cellClearance(start) < padMargin || !this.isRouteZoneFree(grid, start, padRadius)) continue;
+            if (!startsIn(this.getRouteCellCenter(grid, start.col, start.row))) continue;
+            if (densityAt && this.random() >= densityAt(this.getRouteCellCenter(grid, start.col, start.row))) continue;
+
+            // Route long nets first, like the other styles place their longest segments first
+            const angle = this.random() * 2 * Math.PI;
+            const reach = (1 - attempt / attempts) * (0.5 + this.random() * 0.5);
+            const distance = (minLength + reach * (maxLength - minLength)) / pitch;
+            const end = {
+                col: Math.round(start.col + Math.cos(angle) * distance),
+                row: Math.round(start.row + Math.sin(angle) * distance)
+            };
+            if (end.col < 0 || end.row < 0 || end.col >= cols || end.row >= rows) continue;
+            if (grid.owner[end.row * cols + end.col] !== 0 || cellClearance(end) < padMargin) continue;
+            if (!inSector(this.getRouteCellCenter(grid, end.col, end.row))) continue;
+            if (this.getOctileDistance(start, end) * pitch < minLength) continue;
+
+            // Claim both pads first so the route cannot run through either clearance zone of another net
+            this.claimRouteZone(grid, start, padRadius, net);
+            if (!this.isRouteZoneFree(grid, end, padRadius, net)) {
+                this.releaseRouteNet(grid, net);
+                continue;
+            }
+            this.claimRouteZone(grid, end, padRadius, net);
+
+            const path = this.findRoute(grid, search, start, end, net, maxLength * 1.25 / pitch);
+            const segment = path && this.routeToSegment(grid, path);
+
+            if (segment && segment.length >= minLength &&
+                this.isSegmentInMask(segment, mask, patternScale, traceMargin, padMargin) &&
+                this.canPlaceSegment(segment, placedIndex, minSpacing, lineThickness, circleRadius)) {
+                placedSegments.push(segment);
+                placedIndex.insert(segment);
+                // Keep other nets one lane away from the whole trace
+                path.forEach(cell => this.claimRouteZone(grid, cell, 1, net));
             } else {
-                // Straight segment
-                return {
-                    ...segment,
-                    start: {
-                        x: segment.start.x * patternScale,
-                        y: segment.start.y * patternScale
-                    },
-                    end: {
-                        x: segment.end.x * patternScale,
-                        y: segment.end.y * patternScale
+                this.releaseRouteNet(grid, net);
+            }
+        }
+
+        reportProgress(attempts, attempts);
+    }
+
+    /**
+     * Place traces for the growth style: plant a seed pad, grow a trace from it and
+     * let traces branch from their bends and legs, tree by tree, until seeds no
+     * longer fit. A branch starts on its parent trace and is marked `branch`, so
+     * findIntersections gives it a T-junction pad
+     * @param {MaskBitmap} mask - Occupancy bitmap of the mask
+     * @param {Object} settings - Scaled bounds, spacing, sizes, length range and branching options
+     * @param {Array} placedSegments - Accepted traces, filled in place
+     * @param {SegmentIndex} placedIndex - Index over placedSegments, filled in place
+     * @param {Function} reportProgress - Called with (tested, total)
+     */
+    placeGrowthSegments(mask, settings, placedSegments, placedIndex, reportProgress) {
+        const { patternScale, traceMargin, padMargin, angleSet, densityAt, bounds, gridSize, minSpacing, lineThickness, circleRadius, minLength, maxLength, branchProbability, maxDepth, progressInterval, startsIn = () => true } = settings;
+        const circleClearance = 2 * circleRadius + lineThickness + 3;
+        const effectiveMinDistance = minSpacing + lineThickness / 2;
+        const allowedAngles = angleSet || this.createAngleSet();
+
+        const toSegment = (points) => {
+            let length = 0;
+            for (let i = 1; i < points.length; i++) {
+                length += this.pointDistance(points[i - 1], points[i]);
+            }
+            return { start: points[0], end: points[points.length - 1], angle: this.getDirection(points[0], points[1]), length, points };
+        };
+
+        const tryPlace = (segment, parent) => {
+            if (!this.isSegmentInMask(segment, mask, patternScale, traceMargin, padMargin)) return false;
+            if (!parent) {
+                return this.canPlaceSegment(segment, placedIndex, minSpacing, lineThickness, circleRadius);
+            }
+
+            // The branch touches its parent at the junction, so it is checked against the parent
+            // only from where it has left the parent's clearance
+            const legAngle = Math.abs(segment.angle - segment.parentAngle) % 180;
+            const trim = Math.max(circleClearance, effectiveMinDistance) / Math.max(0.1, Math.sin(legAngle * Math.PI / 180)) + 0.5;
+            if (segment.length - trim < circleClearance) return false;
+            const probe = toSegment(this.slicePolyline(segment.points, trim, segment.length));
+            const nearby = placedIndex.query(SegmentIndex.getBounds(segment), Math.max(circleClearance, effectiveMinDistance))
+                .filter(placed => placed !== parent);
+            return this.canPlaceSegment(probe, [parent], minSpacing, lineThickness, circleRadius) &&
+                this.canPlaceSegment(segment, nearby, minSpacing, lineThickness, circleRadius);
+        };
+
+        const place = (segment) => {
+            placedSegments.push(segment);
+            placedIndex.insert(segment);
+        };
+
+        // Places along a trace where a branch may start: bends, and steps along each leg,
+        // never closer to the trace ends than a pad clearance
+        const branchPoints = (segment) => {
+            const found = [];
+            const points = segment.points;
+            for (let i = 1; i < points.length; i++) {
+                const from = points[i - 1];
+                const to = points[i];
+                const legLength = this.pointDistance(from, to);
+                const heading = this.getDirection(from, to);
+                if (i > 1) {
+                    found.push({ point: from, heading });
+                }
+                for (let d = circleClearance; d < legLength - circleClearance; d += circleClearance) {
+                    found.push({ point: { x: from.x + (to.x - from.x) * d / legLength, y: from.y + (to.y - from.y) * d / legLength }, heading });
+                }
+            }
+            return found.filter(({ point }) =>
+                this.pointDistance(point, segment.start) >= circleClearance &&
+                this.pointDistance(point, segment.end) >= circleClearance);
+        };
+
+        let insidePixels = 0;
+        for (let i = 0; i < mask.data.length; i++) {
+            insidePixels += mask.data[i];
+        }
+        const avgLength = (minLength + maxLength) / 2;
+        const seedAttempts = Math.max(1, Math.floor(insidePixels / (patternScale * patternScale) / (avgLength * gridSize))) * 4;
+
+        for (let attempt = 0; attempt < seedAttempts; attempt++) {
+            if (attempt % progressInterval === 0) {
+                reportProgress(attempt, seedAttempts);
+            }
+
+            const seed = { x: bounds.x + this.random() * bounds.width, y: bounds.y + this.random() * bounds.height };
+            if (!mask.has(seed.x * patternScale, seed.y * patternScale) ||
+                mask.clearanceAt(seed.x * patternScale, seed.y * patternScale) < padMargin || !startsIn(seed)) continue;
+            if (densityAt && this.random() >= densityAt(seed)) continue;
+
+            // Long trunks first, like the other styles place their longest segments first
+            const reach = (1 - attempt / seedAttempts) * (0.5 + this.random() * 0.5);
+            const heading = this.pickAngle(allowedAngles) + (this.random() < 0.5 ? 180 : 0);
+            const trunk = this.createCurvedSegment(seed.x, seed.y, heading, minLength + reach * (maxLength - minLength),
+                Math.floor(this.random() * 3), allowedAngles);
+            if (!tryPlace(trunk, null)) continue;
+            place(trunk);
+
+            // Grow the tree breadth first; branches get shorter with depth
+            const queue = [{ segment: trunk, depth: 0 }];
+            while (queue.length > 0) {
+                const { segment: parent, depth } = queue.shift();
+                if (depth >= maxDepth) continue;
+
+                branchPoints(parent).forEach(({ point, heading: legHeading }) => {
+                    if (this.random() >= branchProbability) return;
+                    if (densityAt && this.random() >= densityAt(point)) return;
+
+                    const length = minLength + this.random() * (maxLength - minLength) * Math.pow(0.7, depth + 1);
+                    const branch = this.createCurvedSegment(point.x, point.y, this.pickTurn(allowedAngles, legHeading), length,
+                        Math.floor(this.random() * 2), allowedAngles);
+                    branch.parentAngle = legHeading;
+                    if (!tryPlace(branch, parent)) return;
+
+                    delete branch.parentAngle;
+                    branch.branch = true;
+                    place(branch);
+                    queue.push({ segment: branch, depth: depth + 1 });
+                });
+            }
+        }
+
+        reportProgress(seedAttempts, seedAttempts);
+    }
+
+    /**
+     * Get the centre of a routing cell in scaled space
+     */
+    getRouteCellCenter(grid, col, row) {
+        return {
+            x: grid.x + (col + 0.5) * grid.pitch,
+            y: grid.y + (row + 0.5) * grid.pitch
+        };
+    }
+
+    /**
+     * Check that no other net owns a cell within radius cells of the given cell
+     */
+    isRouteZoneFree(grid, cell, radius, net = 0) {
+        for (let row = Math.max(0, cell.row - radius); row <= Math.min(grid.rows - 1, cell.row + radius); row++) {
+            for (let col = Math.max(0, cell.col - radius); col <= Math.min(grid.cols - 1, cell.col + radius); col++) {
+                if ((col - cell.col) ** 2 + (row - cell.row) ** 2 > radius * radius) continue;
+                const owner = grid.owner[row * grid.cols + col];
+                if (owner > 0 && owner !== net) return false;
+            }
+        }
+        return grid.owner[cell.row * grid.cols + cell.col] !== -1;
+    }
+
+    /**
+     * Mark the free cells within radius cells of the given cell as owned by net
+     */
+    claimRouteZone(grid, cell, radius, net) {
+        for (let row = Math.max(0, cell.row - radius); row <= Math.min(grid.rows - 1, cell.row + radius); row++) {
+            for (let col = Math.max(0, cell.col - radius); col <= Math.min(grid.cols - 1, cell.col + radius); col++) {
+                if ((col - cell.col) ** 2 + (row - cell.row) ** 2 > radius * radius) continue;
+                const index = row * grid.cols + col;
+                if (grid.owner[index] === 0) {
+                    grid.owner[index] = net;
+                }
+            }
+        }
+    }
+
+    /**
+     * Free every cell owned by a net whose route failed
+     */
+    releaseRouteNet(grid, net) {
+        for (let i = 0; i < grid.owner.length; i++) {
+            if (grid.owner[i] === net) {
+                grid.owner[i] = 0;
+            }
+        }
+    }
+
+    /**
+     * Diagonal-aware grid distance between two cells
+     */
+    getOctileDistance(a, b) {
+        const dx = Math.abs(a.col - b.col);
+        const dy = Math.abs(a.row - b.row);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    }
+
+    /**
+     * Allocate search buffers once per generation; a stamp marks which entries
+     * belong to the current search so they never need clearing
+     */
+    createRouteSearch(grid) {
+        const states = grid.cols * grid.rows * 9;
+        return {
+            stamp: 0,
+            visited: new Int32Array(states),
+            cost: new Float64Array(states),
+            parent: new Int32Array(states)
+        };
+    }
+
+    /**
+     * A* search over (cell, heading) states. Traces may go straight or turn by
+     * 45 or 90 degrees, with turns penalised so routes stay clean
+     * @returns {Array|null} - Cells from start to end, or null if no route fits
+     */
+    findRoute(grid, search, start, end, net, maxCost) {
+        const { cols, rows, owner } = grid;
+        const directions = PatternGenerator.ROUTE_DIRECTIONS;
+        const turnPenalty = [0, 1, 2];
+        const maxExpansions = 20000;
+        const passable = (col, row) => {
+            if (col < 0 || row < 0 || col >= cols || row >= rows) return false;
+            const cellOwner = owner[row * cols + col];
+            return cellOwner === 0 || cellOwner === net;
+        };
+
+        const stamp = ++search.stamp;
+        const startState = (start.row * cols + start.col) * 9 + 8; // Heading 8 = no heading yet
+        const endCell = end.row * cols + end.col;
+        const queue = new RouteQueue();
+        search.visited[startState] = stamp;
+        search.cost[startState] = 0;
+        search.parent[startState] = -1;
+        queue.push(startState, this.getOctileDistance(start, end));
+
+        let expansions = 0;
+        while (queue.size > 0 && expansions < maxExpansions) {
+            const state = queue.pop();
+            const cell = Math.floor(state / 9);
+            const heading = state % 9;
+            const cost = search.cost[state];
+
+            if (cell === endCell) {
+                const path = [];
+                for (let s = state; s !== -1; s = search.parent[s]) {
+                    const c = Math.floor(s / 9);
+                    path.unshift({ col: c % cols, row: Math.floor(c / cols) });
+                }
+                return path;
+            }
+            expansions++;
+
+            const col = cell % cols;
+            const row = Math.floor(cell / cols);
+            for (let d = 0; d < 8; d++) {
+                if (grid.stepCost[d] === Infinity) continue;
+                let turn = 0;
+                if (heading !== 8) {
+                    turn = Math.abs(d - heading);
+                    turn = Math.min(turn, 8 - turn);
+                    if (turn > 2) continue;
+                }
+
+                const [dx, dy] = directions[d];
+                const nextCol = col + dx;
+                const nextRow = row + dy;
+                if (!passable(nextCol, nextRow)) continue;
+                // Diagonal steps must not squeeze between two blocked cells
+                if (dx !== 0 && dy !== 0 && (!passable(col + dx, row) || !passable(col, row + dy))) continue;
+
+                const nextCost = cost + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1) * grid.stepCost[d] + turnPenalty[turn];
+                const next = { col: nextCol, row: nextRow };
+                const estimate = nextCost + this.getOctileDistance(next, end);
+                if (estimate > maxCost) continue;
+
+                const nextState = (nextRow * cols + nextCol) * 9 + d;
+                if (search.visited[nextState] === stamp && search.cost[nextState] <= nextCost) continue;
+                search.visited[nextState] = stamp;
+                search.cost[nextState] = nextCost;
+                search.parent[nextState] = state;
+                queue.push(nextState, estimate);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Turn a routed cell path into a segment, keeping only the bend points
+     */
+    routeToSegment(grid, path) {
+        if (path.length < 2) return null;
+
+        const points = [this.getRouteCellCenter(grid, path[0].col, path[0].row)];
+        for (let i = 1; i < path.length - 1; i++) {
+            const inX = path[i].col - path[i - 1].col;
+            const inY = path[i].row - path[i - 1].row;
+            const outX = path[i + 1].col - path[i].col;
+            const outY = path[i + 1].row - path[i].row;
+            if (inX !== outX || inY !== outY) {
+                points.push(this.getRouteCellCenter(grid, path[i].col, path[i].row));
+            }
+        }
+        points.push(this.getRouteCellCenter(grid, path[path.length - 1].col, path[path.length - 1].row));
+
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += this.pointDistance(points[i - 1], points[i]);
+        }
+        const first = Math.atan2(points[1].y - points[0].y, points[1].x - points[0].x) * 180 / Math.PI;
+
+        return {
+            start: points[0],
+            end: points[points.length - 1],
+            angle: (Math.round(first) + 360) % 360,
+            length,
+            points
+        };
+    }
+
+    /**
+     * Place component footprints into free mask areas and grow a trace from each
+     * pin with the normal angle rules. Pins without room for a trace stay bare
+     * @param {MaskBitmap} mask - Occupancy bitmap of the mask
+     * @param {Object} settings - Count, types and size plus the scaled sizes and length range
+     * @param {Array} placedSegments - Accepted traces, filled in place
+     * @param {SegmentIndex} placedIndex - Index over placedSegments, filled in place
+     * @param {Array} footprints - Placed footprints (scaled space), filled in place
+     * @returns {MaskBitmap} - The mask with the footprints cut out, for the fill
+     */
+    placeFootprints(mask, settings, placedSegments, placedIndex, footprints) {
+        const { patternScale, count, types, size, traceMargin, padMargin, angleSet, bounds, minSpacing, lineThickness, circleRadius, minLength, maxLength } = settings;
+        const allowedTypes = (types || []).filter(type => PatternGenerator.FOOTPRINT_TYPES.includes(type));
+        if (allowedTypes.length === 0) {
+            return mask;
+        }
+
+        // Pins sit one pad clearance apart, so neighbouring pin traces can run side by side
+        const circleClearance = 2 * circleRadius + lineThickness + 3;
+        const pitch = circleClearance + 0.5;
+        const margin = minSpacing + lineThickness / 2;
+        const grow = (box) => ({ minX: box.minX - margin, minY: box.minY - margin, maxX: box.maxX + margin, maxY: box.maxY + margin });
+        const boxesOverlap = (a, b) => a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+        const takenBoxes = [];
+        const courtyards = new Map();
+
+        // The grown courtyard must lie inside the mask, sampled every two canvas pixels
+        const fitsMask = (box) => {
+            const step = 2 / patternScale;
+            const cols = Math.max(1, Math.ceil((box.maxX - box.minX) / step));
+            const rows = Math.max(1, Math.ceil((box.maxY - box.minY) / step));
+            for (let row = 0; row <= rows; row++) {
+                for (let col = 0; col <= cols; col++) {
+                    const x = (box.minX + (box.maxX - box.minX) * col / cols) * patternScale;
+                    const y = (box.minY + (box.maxY - box.minY) * row / rows) * patternScale;
+                    if (!mask.has(x, y) || mask.clearanceAt(x, y) < traceMargin) {
+                        return false;
                     }
+                }
+            }
+            return true;
+        };
+
+        const attempts = count * 40;
+        for (let attempt = 0; attempt < attempts && footprints.length < count; attempt++) {
+            const type = allowedTypes[Math.floor(this.random() * allowedTypes.length)];
+            const footprint = this.createFootprint(type,
+                bounds.x + this.random() * bounds.width,
+                bounds.y + this.random() * bounds.height,
+                this.random() < 0.5 ? 0 : 90,
+                pitch,
+                size);
+            const courtyard = grow(footprint.courtyard);
+            // In a repeating pattern every footprint is shown again at each copy, which takes room too
+            const copies = this.getBoxImages(courtyard, placedIndex.images);
+
+            if (copies.some(copy => boxesOverlap(courtyard, copy))) continue;
+            if (takenBoxes.some(box => boxesOverlap(courtyard, box))) continue;
+            if (placedIndex.query(courtyard).some(segment => this.polylineHitsBox(segment.points, courtyard))) continue;
+            if (!fitsMask(courtyard)) continue;
+            footprints.push(footprint);
+            courtyards.set(footprint, courtyard);
+            takenBoxes.push(courtyard, ...copies);
+        }
+
+        footprints.forEach(footprint => {
+            const ownCourtyard = courtyards.get(footprint);
+            footprint.pins.forEach(pin => {
+                const rad = pin.angle * Math.PI / 180;
+                const tip = {
+                    x: footprint.x + pin.x + Math.cos(rad) * footprint.pinLength / 2,
+                    y: footprint.y + pin.y + Math.sin(rad) * footprint.pinLength / 2
                 };
+
+                for (let attempt = 0; attempt < 4; attempt++) {
+                    const length = minLength + this.random() * (maxLength - minLength);
+                    const segment = this.createCurvedSegment(tip.x, tip.y, pin.angle, length, Math.floor(this.random() * 3), angleSet);
+                    segment.startPad = false;
+
+                    // The trace leaves its own footprint straight out and may not come back
+                    const legs = segment.points.slice(1);
+                    if (this.polylineHitsBox(legs, ownCourtyard)) continue;
+                    if (takenBoxes.some(box => box !== ownCourtyard && this.polylineHitsBox(segment.points, box))) continue;
+                    if (!this.isSegmentInMask(segment, mask, patternScale, traceMargin, padMargin)) continue;
+                    if (!this.canPlaceSegment(segment, placedIndex, minSpacing, lineThickness, circleRadius)) continue;
+
+                    placedSegments.push(segment);
+                    placedIndex.insert(segment);
+                    break;
+                }
+            });
+        });
+
+        return mask.withoutRects(takenBoxes.map(box => ({
+            minX: box.minX * patternScale,
+            minY: box.minY * patternScale,
+            maxX: box.maxX * patternScale,
+            maxY: box.maxY * patternScale
+        })));
+    }
+
+    /**
+     * Describe a footprint: body size, pin pads (centre relative to the body
+     * and outward direction) and the courtyard box around body and pins
+     * @param {string} type - 'qfp', 'soic', 'passive' or 'crystal'
+     * @param {number} x - Body centre
+     * @param {number} y - Body centre
+     * @param {number} angle - Rotation, 0 or 90 degrees
+     * @param {number} pitch - Distance between neighbouring pins
+     * @param {number} size - Size factor
+     */
+    createFootprint(type, x, y, angle, pitch, size) {
+        const pins = [];
+        let width, height;
+        let pinLength = pitch * 1.2;
+        let pinWidth = pitch * 0.55;
+
+        // One row of pins on the side facing `direction`, centred on the body
+        const addRow = (pinCount, offset, direction) => {
+            const rad = direction * Math.PI / 180;
+            for (let k = 0; k < pinCount; k++) {
+                const along = (k - (pinCount - 1) / 2) * pitch;
+                pins.push({
+                    x: Math.cos(rad) * offset - Math.sin(rad) * along,
+                    y: Math.sin(rad) * offset + Math.cos(rad) * along,
+                    angle: direction
+                });
+            }
+        };
+
+        switch (type) {
+            case 'qfp': {
+                const perSide = Math.max(3, Math.round(5 * size));
+                width = height = (perSide + 1) * pitch;
+                [0, 90, 180, 270].forEach(direction => addRow(perSide, width / 2 + pinLength / 2, direction));
+                break;
+            }
+            case 'soic': {
+                const perSide = Math.max(2, Math.round(4 * size));
+                width = (perSide + 1) * pitch;
+                height = 3 * pitch;
+                addRow(perSide, height / 2 + pinLength / 2, 90);
+                addRow(perSide, height / 2 + pinLength / 2, 270);
+                break;
             }
+            case 'crystal':
+                width = Math.max(2, 4 * size) * pitch;
+                height = 1.8 * pitch;
+                pinLength = pitch;
+                pinWidth = pitch * 0.8;
+                addRow(1, width / 2 + pinLength / 2, 0);
+                addRow(1, width / 2 + pinLength / 2, 180);
+                break;
+            default:
+                width = Math.max(1, 2.5 * size) * pitch;
+                height = 1.2 * pitch;
+                pinLength = pitch;
+                pinWidth = height;
+                addRow(1, width / 2 + pinLength / 2, 0);
+                addRow(1, width / 2 + pinLength / 2, 180);
+        }
+
+        if (angle === 90) {
+            pins.forEach(pin => {
+                [pin.x, pin.y] = [-pin.y, pin.x];
+                pin.angle = (pin.angle + 90) % 360;
+            });
+        }
+
+        const footprint = { type, x, y, angle, width, height, pinLength, pinWidth, pins };
+        footprint.courtyard = this.getFootprintCourtyard(footprint);
+        return footprint;
+    }
+
+    /**
+     * Box around a footprint's body and every pin pad
+     */
+    getFootprintCourtyard(footprint) {
+        const { x, y, width, height, pinLength, pinWidth, pins } = footprint;
+        let extentX = (footprint.angle === 90 ? height : width) / 2;
+        let extentY = (footprint.angle === 90 ? width : height) / 2;
+        pins.forEach(pin => {
+            const horizontal = pin.angle % 180 === 0;
+            extentX = Math.max(extentX, Math.abs(pin.x) + (horizontal ? pinLength : pinWidth) / 2);
+            extentY = Math.max(extentY, Math.abs(pin.y) + (horizontal ? pinWidth : pinLength) / 2);
         });
+        return { minX: x - extentX, minY: y - extentY, maxX: x + extentX, maxY: y + extentY };
+    }
 
-        const scaledCircles = endpoints.map(circle => ({
-            ...circle,
-            x: circle.x * patternScale,
-            y: circle.y * patternScale
-        }));
+    /**
+     * Bounding boxes of a box at every copy of a repeating pattern
+     * @param {Object} box - { minX, minY, maxX, maxY }
+     * @param {Array<Function>} maps - Point maps, e.g. SegmentIndex images
+     */
+    getBoxImages(box, maps) {
+        return maps.map(map => {
+            const corners = [
+                map({ x: box.minX, y: box.minY }), map({ x: box.maxX, y: box.minY }),
+                map({ x: box.maxX, y: box.maxY }), map({ x: box.minX, y: box.maxY })
+            ];
+            return {
+                minX: Math.min(...corners.map(c => c.x)),
+                minY: Math.min(...corners.map(c => c.y)),
+                maxX: Math.max(...corners.map(c => c.x)),
+                maxY: Math.max(...corners.map(c => c.y))
+            };
+        });
+    }
+
+    /**
+     * Check whether a polyline has a point inside a box or crosses one of its edges
+     */
+    polylineHitsBox(points, box) {
+        const inside = (point) => point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY;
+        if (points.some(inside)) {
+            return true;
+        }
+
+        const corners = [
+            { x: box.minX, y: box.minY },
+            { x: box.maxX, y: box.minY },
+            { x: box.maxX, y: box.maxY },
+            { x: box.minX, y: box.maxY }
+        ];
+        for (let i = 1; i < points.length; i++) {
+            for (let c = 0; c < 4; c++) {
+                if (this.lineIntersection(points[i - 1], points[i], corners[c], corners[(c + 1) % 4])) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Place traces that follow the mask outline as concentric rings. Each ring is
+     * an isoline of the distance field, cut into open traces with gaps for pads
+     * @param {MaskBitmap} mask - Occupancy bitmap of the mask
+     * @param {Object} settings - Scale, ring count and spacing, sizes and length range
+     * @param {Array} placedSegments - Accepted traces, filled in place
+     * @param {SegmentIndex} placedIndex - Index over placedSegments, filled in place
+     */
+    placeContourSegments(mask, settings, placedSegments, placedIndex) {
+        const { patternScale, rings, spacing, traceMargin, padMargin, minSpacing, lineThickness, circleRadius, minLength, maxLength, startsIn = () => true } = settings;
+        const tolerance = 0.75; // Simplification error in pixels
+
+        // Rings closer than the pad clearance would always collide with the neighbouring ring's pads
+        const circleClearance = 2 * circleRadius + lineThickness + 3;
+        const ringSpacing = Math.max(spacing, (circleClearance + 2) * patternScale);
+
+        for (let ring = 0; ring < rings; ring++) {
+            // The outer ring carries pads, so it sits as close to the edge as pads may go
+            const level = padMargin + tolerance + ring * ringSpacing;
+            mask.traceContours(level).forEach(contour => {
+                // Work in scaled space like the other placement steps
+                const points = this.simplifyPolyline(contour.points, tolerance).map(point => ({
+                    x: point.x / patternScale,
+                    y: point.y / patternScale
+                }));
+                this.splitContour(points, contour.closed, circleClearance, minLength, maxLength).forEach(segment => {
+                    if (startsIn(segment.start) && this.isSegmentInMask(segment, mask, patternScale, traceMargin, padMargin) &&
+                        this.canPlaceSegment(segment, placedIndex, minSpacing, lineThickness, circleRadius)) {
+                        placedSegments.push(segment);
+                        placedIndex.insert(segment);
+                    }
+                });
+            });
+        }
+    }
+
+    /**
+     * Cut a contour into traces of random length within the range, leaving a
+     * gap between consecutive traces so their end pads do not touch
+     * @returns {Array} - Segments along the contour
+     */
+    splitContour(points, closed, gap, minLength, maxLength) {
+        const loop = closed ? [...points, points[0]] : points;
+        let total = 0;
+        for (let i = 1; i < loop.length; i++) {
+            total += this.pointDistance(loop[i - 1], loop[i]);
+        }
+        if (total < minLength) return [];
 
-        const scaledForks = forks.map(fork => ({
-            ...fork,
-            x: fork.x * patternScale,
-            y: fork.y * patternScale
-        }));
+        // Closed rings start at a random place so pads of neighbouring rings do not line up
+        const offset = closed ? this.random() * total : 0;
+        // Going round a closed ring twice lets traces run past the starting point
+        const path = closed ? [...points, ...points, points[0]] : points;
+        const usable = closed ? total - gap : total;
+        const segments = [];
+        let position = 0;
+
+        while (position + minLength <= usable) {
+            const length = Math.min(minLength + this.random() * (maxLength - minLength), usable - position);
+            const tracePoints = this.slicePolyline(path, offset + position, offset + position + length);
+            segments.push({
+                start: tracePoints[0],
+                end: tracePoints[tracePoints.length - 1],
+                angle: (Math.round(Math.atan2(tracePoints[1].y - tracePoints[0].y, tracePoints[1].x - tracePoints[0].x) * 180 / Math.PI) + 360) % 360,
+                length,
+                points: tracePoints
+            });
+            position += length + gap;
+        }
 
-        return {
-            segments: scaledSegments,
-            circles: scaledCircles,
-            forks: scaledForks,
-            lineThickness: scaledLineThickness,
-            circleRadius: scaledCircleRadius,
-            lineColor,
-            gradientType: options.gradientType || 'none',
-            gradientColor: options.gradientColor || lineColor,
-            gradientStartPoint: options.gradientStartPoint,
-            gradientEndPoint: options.gradientEndPoint
-        };
+        return segments;
     }
 
     /**
-     * Check if point is inside the mask (black pixel)
+     * Get the part of a polyline between two distances along it
      */
-    isPointInMask(point, maskCanvas, ctx) {
-        const x = Math.floor(point.x);
-        const y = Math.floor(point.y);
-
-        if (x < 0 || y < 0 || x >= maskCanvas.width || y >= maskCanvas.height) {
-            return false;
+    slicePolyline(path, from, to) {
+        const points = [];
+        const pointOnLeg = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        let distance = 0;
+
+        for (let i = 1; i < path.length && distance < to; i++) {
+            const legLength = this.pointDistance(path[i - 1], path[i]);
+            const legEnd = distance + legLength;
+            if (legEnd > from && legLength > 0) {
+                if (points.length === 0) {
+                    points.push(pointOnLeg(path[i - 1], path[i], (from - distance) / legLength));
+                }
+                points.push(legEnd < to ? path[i] : pointOnLeg(path[i - 1], path[i], (to - distance) / legLength));
+            }
+            distance = legEnd;
         }
 
-        try {
-            const imageData = ctx.getImageData(x, y, 1, 1);
-            // Black pixel = inside shape (RGB all 0 or very low)
-            return imageData.data[0] < 128; // Check if pixel is dark (black or near-black)
-        } catch (e) {
-            return false;
+        return points;
+    }
+
+    /**
+     * Douglas-Peucker simplification, keeping points that deviate more than tolerance
+     */
+    simplifyPolyline(points, tolerance) {
+        if (points.length < 3) return points;
+
+        const keep = new Uint8Array(points.length);
+        keep[0] = 1;
+        keep[points.length - 1] = 1;
+        const stack = [[0, points.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            let maxDistance = 0;
+            let maxIndex = -1;
+            for (let i = first + 1; i < last; i++) {
+                const distance = this.pointToLineSegmentDistance(points[i], points[first], points[last]);
+                if (distance > maxDistance) {
+                    maxDistance = distance;
+                    maxIndex = i;
+                }
+            }
+            if (maxIndex !== -1 && maxDistance > tolerance) {
+                keep[maxIndex] = 1;
+                stack.push([first, maxIndex], [maxIndex, last]);
+            }
         }
+
+        return points.filter((point, i) => keep[i]);
     }
 
     /**
@@ -223,6 +2722,7 @@ class PatternGenerator {
 
         this.segments = [];
         this.usedSpace = [];
+        const seed = this.seedRandom(options.seed);
 
         // Get shape bounds and create spatial grid
         const bounds = this.getShapeBounds(shape);
@@ -230,7 +2730,8 @@ class PatternGenerator {
         const gridSize = density;
 
         // Create a set of potential line segments
-        const potentialSegments = this.createPotentialSegments(bounds, gridSize, style, lineLength);
+        const angleSet = this.createAngleSet(options.angles, options.angleWeights);
+        const potentialSegments = this.createPotentialSegments(bounds, gridSize, style, lineLength, null, null, angleSet);
 
         // Filter and prioritize segments
         // Handle text objects specially
@@ -256,11 +2757,13 @@ class PatternGenerator {
 
         // Place segments starting from longest
         const placedSegments = [];
+        const placedIndex = new SegmentIndex(lineLength);
         // Account for line thickness and circle radius in spacing
         const minSpacing = Math.max(gridSize * 0.3, lineThickness + circleRadius);
         for (const segment of validSegments) {
-            if (this.canPlaceSegment(segment, placedSegments, minSpacing, lineThickness, circleRadius)) {
+            if (this.canPlaceSegment(segment, placedIndex, minSpacing, lineThickness, circleRadius)) {
                 placedSegments.push(segment);
+                placedIndex.insert(segment);
             }
         }
 
@@ -273,16 +2776,20 @@ class PatternGenerator {
         // Shorten segments to leave space for circles at endpoints (unless at forks)
         const shortenedSegments = this.shortenSegmentsForCircles(placedSegments, forks, circleRadius);
 
-        return {
+        return this.assignPads({
             segments: shortenedSegments,
             circles: endpoints,
             forks: forks,
+            seed,
             lineThickness,
             circleRadius,
+            forkRadius: options.forkRadius !== undefined ? options.forkRadius : circleRadius * 1.2,
             lineColor,
+            cornerStyle: options.cornerStyle || 'sharp',
+            cornerSize: options.cornerSize !== undefined ? options.cornerSize : 6,
             gradientType: options.gradientType || 'none',
             gradientColor: options.gradientColor || lineColor
-        };
+        }, options.padStyle, options.padMix);
     }
 
     /**
@@ -300,6 +2807,7 @@ class PatternGenerator {
 
         this.segments = [];
         this.usedSpace = [];
+        const seed = this.seedRandom(options.seed);
 
         // Get combined bounds of all shapes
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
@@ -325,7 +2833,8 @@ class PatternGenerator {
         const minSpacing = Math.max(gridSize * 0.3, lineThickness + circleRadius);
 
         // Create potential segments
-        const potentialSegments = this.createPotentialSegments(bounds, gridSize, style, lineLength);
+        const angleSet = this.createAngleSet(options.angles, options.angleWeights);
+        const potentialSegments = this.createPotentialSegments(bounds, gridSize, style, lineLength, null, null, angleSet);
 
         // Filter segments to only those inside any of the shapes
         const validSegments = potentialSegments.filter(segment => {
@@ -373,9 +2882,11 @@ class PatternGenerator {
 
         // Place segments starting from longest
         const placedSegments = [];
+        const placedIndex = new SegmentIndex(lineLength);
         for (const segment of validSegments) {
-            if (this.canPlaceSegment(segment, placedSegments, minSpacing, lineThickness, circleRadius)) {
+            if (this.canPlaceSegment(segment, placedIndex, minSpacing, lineThickness, circleRadius)) {
                 placedSegments.push(segment);
+                placedIndex.insert(segment);
             }
         }
 
@@ -388,16 +2899,20 @@ class PatternGenerator {
         // Shorten segments to leave space for circles at endpoints (unless at forks)
         const shortenedSegments = this.shortenSegmentsForCircles(placedSegments, forks, circleRadius);
 
-        return {
+        return this.assignPads({
             segments: shortenedSegments,
             circles: endpoints,
             forks: forks,
+            seed,
             lineThickness,
             circleRadius,
+            forkRadius: options.forkRadius !== undefined ? options.forkRadius : circleRadius * 1.2,
             lineColor,
+            cornerStyle: options.cornerStyle || 'sharp',
+            cornerSize: options.cornerSize !== undefined ? options.cornerSize : 6,
             gradientType: options.gradientType || 'none',
             gradientColor: options.gradientColor || lineColor
-        };
+        }, options.padStyle, options.padMix);
     }
 
     /**
@@ -436,45 +2951,145 @@ class PatternGenerator {
      * @param {number} gridSize - Spacing between potential segment start points (density)
      * @param {string} style - Pattern style (grid or organic)
      * @param {number} lineLength - Average length for segments
+     * @param {Object} angleSet - Allowed angles from createAngleSet
+     * @param {Object} bus - { frequency, width, pitch } for bundles of parallel traces
+     * @param {Function} densityAt - Density (0-1) at a point, from a density map
      */
-    createPotentialSegments(bounds, gridSize, style, lineLength = 80, minLength = null, maxLength = null) {
+    createPotentialSegments(bounds, gridSize, style, lineLength = 80, minLength = null, maxLength = null, angleSet = null, bus = null, densityAt = null) {
         const segments = [];
-        const angles = [0, 45, 90, 135]; // 45-degree angles
+        const allowedAngles = angleSet || this.createAngleSet();
+        // With a density map, candidates survive in proportion to the density at their start
+        const addCandidate = (segment) => {
+            if (densityAt) {
+                const density = densityAt(segment.start);
+                if (this.random() >= density) return;
+                segment.density = density;
+            }
+            segments.push(segment);
+        };
+        // Turn some candidates into buses of parallel traces around the same centre line
+        const maybeBus = (segment) => {
+            if (bus && bus.frequency > 0 && this.random() < bus.frequency) {
+                return this.createBus(segment, bus.width, bus.pitch);
+            }
+            return segment;
+        };
 
         // Use min/max if provided, otherwise use lineLength with variation
         const useRange = minLength !== null && maxLength !== null;
         const getLength = () => {
             if (useRange) {
-                return minLength + Math.random() * (maxLength - minLength);
+                return minLength + this.random() * (maxLength - minLength);
             }
-            return lineLength * (0.7 + Math.random() * 0.6); // 70% to 130% of lineLength
+            return lineLength * (0.7 + this.random() * 0.6); // 70% to 130% of lineLength
         };
 
         if (style === 'grid') {
             // Grid-based pattern - density controls grid spacing
             for (let x = bounds.x; x < bounds.x + bounds.width; x += gridSize) {
                 for (let y = bounds.y; y < bounds.y + bounds.height; y += gridSize) {
-                    const angle = angles[Math.floor(Math.random() * angles.length)];
+                    const angle = this.pickAngle(allowedAngles);
                     const length = getLength();
-                    segments.push(this.createSegment(x, y, angle, length));
+                    addCandidate(maybeBus(this.createSegment(x, y, angle, length)));
                 }
             }
         } else {
             // Organic pattern - density controls how many segments to generate
             const numSegments = Math.floor((bounds.width * bounds.height) / (gridSize * gridSize * 0.5));
             for (let i = 0; i < numSegments; i++) {
-                const startX = bounds.x + Math.random() * bounds.width;
-                const startY = bounds.y + Math.random() * bounds.height;
-                const angle = angles[Math.floor(Math.random() * angles.length)];
+                const startX = bounds.x + this.random() * bounds.width;
+                const startY = bounds.y + this.random() * bounds.height;
+                const angle = this.pickAngle(allowedAngles);
                 const length = getLength();
-                const numCurves = Math.floor(Math.random() * 3); // 0-2 curves
-                segments.push(this.createCurvedSegment(startX, startY, angle, length, numCurves));
+                const numCurves = Math.floor(this.random() * 3); // 0-2 curves
+                addCandidate(maybeBus(this.createCurvedSegment(startX, startY, angle, length, numCurves, allowedAngles)));
             }
         }
 
         return segments;
     }
 
+    /**
+     * Normalise a list of trace angles and their weights
+     * @param {Array<number>|string} angles - Line directions in degrees (0 and 180 are the same line), or a preset name
+     * @param {Array<number>} weights - Relative weight per angle, 1 when omitted
+     * @returns {Object} - { angles, weights } with angles in [0, 180)
+     */
+    createAngleSet(angles = PatternGenerator.ANGLE_PRESETS['45'], weights = []) {
+        if (typeof angles === 'string') {
+            angles = PatternGenerator.ANGLE_PRESETS[angles];
+        }
+
+        const set = { angles: [], weights: [] };
+        (angles || []).forEach((angle, i) => {
+            const weight = weights && weights[i] !== undefined ? Number(weights[i]) : 1;
+            const normalized = ((Number(angle) % 180) + 180) % 180;
+            if (!isFinite(normalized) || !(weight > 0)) return;
+
+            const existing = set.angles.indexOf(normalized);
+            if (existing === -1) {
+                set.angles.push(normalized);
+                set.weights.push(weight);
+            } else {
+                set.weights[existing] += weight;
+            }
+        });
+
+        return set.angles.length > 0 ? set : this.createAngleSet();
+    }
+
+    /**
+     * Pick a starting angle from an angle set by weight
+     */
+    pickAngle(angleSet) {
+        return this.pickWeighted(angleSet.angles, angleSet.weights);
+    }
+
+    /**
+     * Pick one item from a list with relative weights
+     * @param {Function} random - Random source, the generator's own by default
+     */
+    pickWeighted(items, weights, random = this.random) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let r = random() * total;
+        for (let i = 0; i < items.length; i++) {
+            if (r < weights[i]) return items[i];
+            r -= weights[i];
+        }
+        return items[items.length - 1];
+    }
+
+    /**
+     * Pick the heading after a bend: the nearest allowed direction turning left
+     * or right (at most 90 degrees), chosen by the weights of their angles
+     * @param {Object} angleSet - Allowed angles from createAngleSet
+     * @param {number} heading - Current heading in degrees
+     * @returns {number} - New heading in [0, 360), or the current one if no turn is allowed
+     */
+    pickTurn(angleSet, heading) {
+        let left = null;
+        let right = null;
+        angleSet.angles.forEach((angle, i) => {
+            [angle, angle + 180].forEach(direction => {
+                const turn = ((direction - heading + 540) % 360) - 180;
+                if (turn < 0 && turn >= -90 && (!left || turn > left.turn)) {
+                    left = { turn, weight: angleSet.weights[i] };
+                } else if (turn > 0 && turn <= 90 && (!right || turn < right.turn)) {
+                    right = { turn, weight: angleSet.weights[i] };
+                }
+            });
+        });
+        if (!left && !right) return heading;
+
+        let turn;
+        if (left && right) {
+            turn = this.random() * (left.weight + right.weight) < left.weight ? left.turn : right.turn;
+        } else {
+            turn = (left || right).turn;
+        }
+        return (((heading + turn) % 360) + 360) % 360;
+    }
+
     /**
      * Create a straight line segment
      */
@@ -492,9 +3107,67 @@ class PatternGenerator {
     }
 
     /**
-     * Create a curved segment with 45-degree turns
+     * Nearest point to `target` on a ray from `from` in one of the allowed directions,
+     * so a dragged trace end keeps its leg at an allowed angle
+     * @param {Object} angleSet - From createAngleSet
+     */
+    snapToAngles(from, target, angleSet) {
+        let best = { ...from };
+        let bestDistance = Infinity;
+        angleSet.angles.forEach(angle => [angle, angle + 180].forEach(direction => {
+            const rad = (direction * Math.PI) / 180;
+            const dx = Math.cos(rad);
+            const dy = Math.sin(rad);
+            const t = Math.max(0, (target.x - from.x) * dx + (target.y - from.y) * dy);
+            const point = { x: from.x + dx * t, y: from.y + dy * t };
+            const distance = this.pointDistance(point, target);
+            if (distance < bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        }));
+        return best;
+    }
+
+    /**
+     * Position for a dragged bend between two fixed points: where a leg from each at
+     * allowed angles meet, nearest to `target`. Without such a meeting point only the
+     * leg from `prev` is snapped
+     * @param {Object} angleSet - From createAngleSet
+     */
+    snapBend(prev, next, target, angleSet) {
+        const directions = [];
+        angleSet.angles.forEach(angle => [angle, angle + 180].forEach(direction => {
+            const rad = (direction * Math.PI) / 180;
+            directions.push({ x: Math.cos(rad), y: Math.sin(rad) });
+        }));
+
+        let best = null;
+        let bestDistance = Infinity;
+        const wx = next.x - prev.x;
+        const wy = next.y - prev.y;
+        directions.forEach(u => directions.forEach(v => {
+            // prev + s * u = next + t * v, both legs running forward
+            const cross = u.x * v.y - u.y * v.x;
+            if (Math.abs(cross) < 1e-6) return;
+            const s = (wx * v.y - wy * v.x) / cross;
+            const t = (wx * u.y - wy * u.x) / cross;
+            if (s <= 0 || t <= 0) return;
+            const point = { x: prev.x + u.x * s, y: prev.y + u.y * s };
+            const distance = this.pointDistance(point, target);
+            if (distance < bestDistance) {
+                best = point;
+                bestDistance = distance;
+            }
+        }));
+        return best || this.snapToAngles(prev, target, angleSet);
+    }
+
+    /**
+     * Create a curved segment that bends between the allowed angles
      */
-    createCurvedSegment(startX, startY, startAngle, totalLength, numCurves) {
+    createCurvedSegment(startX, startY, startAngle, totalLength, numCurves, angleSet = null) {
+        const allowedAngles = angleSet || this.createAngleSet();
         const points = [{ x: startX, y: startY }];
         let currentX = startX;
         let currentY = startY;
@@ -503,15 +3176,13 @@ class PatternGenerator {
 
         for (let i = 0; i <= numCurves; i++) {
             const rad = (currentAngle * Math.PI) / 180;
-            const length = segmentLength * (0.8 + Math.random() * 0.4);
+            const length = segmentLength * (0.8 + this.random() * 0.4);
             currentX += Math.cos(rad) * length;
             currentY += Math.sin(rad) * length;
             points.push({ x: currentX, y: currentY });
 
             if (i < numCurves) {
-                // Turn 45 degrees (random direction)
-                currentAngle += (Math.random() < 0.5 ? -45 : 45);
-                currentAngle = ((currentAngle % 360) + 360) % 360;
+                currentAngle = this.pickTurn(allowedAngles, currentAngle);
             }
         }
 
@@ -524,6 +3195,59 @@ class PatternGenerator {
         };
     }
 
+    /**
+     * Create a bus: parallel copies of a centre trace at a fixed pitch that
+     * bend together (mitred offsets keep the pitch through every bend)
+     * @param {Object} centre - Centre line segment
+     * @param {number} width - Number of traces
+     * @param {number} pitch - Distance between neighbouring traces
+     * @returns {Object} - Centre segment with the parallel traces in `traces`
+     */
+    createBus(centre, width, pitch) {
+        const points = centre.points;
+        const normals = [];
+        for (let i = 1; i < points.length; i++) {
+            const length = this.pointDistance(points[i - 1], points[i]) || 1;
+            normals.push({
+                x: -(points[i].y - points[i - 1].y) / length,
+                y: (points[i].x - points[i - 1].x) / length
+            });
+        }
+
+        // Offset direction at each point; at bends it is the mitre between both legs
+        const offsets = points.map((point, i) => {
+            const before = normals[Math.max(0, i - 1)];
+            const after = normals[Math.min(normals.length - 1, i)];
+            const mitre = { x: before.x + after.x, y: before.y + after.y };
+            const length = Math.sqrt(mitre.x * mitre.x + mitre.y * mitre.y) || 1;
+            // Stretch so the offset measured square to each leg stays one pitch
+            const stretch = 1 / Math.max(0.5, (mitre.x * after.x + mitre.y * after.y) / length);
+            return { x: mitre.x / length * stretch, y: mitre.y / length * stretch };
+        });
+
+        const traces = [];
+        for (let k = 0; k < width; k++) {
+            const distance = (k - (width - 1) / 2) * pitch;
+            const tracePoints = points.map((point, i) => ({
+                x: point.x + offsets[i].x * distance,
+                y: point.y + offsets[i].y * distance
+            }));
+            let length = 0;
+            for (let i = 1; i < tracePoints.length; i++) {
+                length += this.pointDistance(tracePoints[i - 1], tracePoints[i]);
+            }
+            traces.push({
+                start: tracePoints[0],
+                end: tracePoints[tracePoints.length - 1],
+                angle: centre.angle,
+                length,
+                points: tracePoints
+            });
+        }
+
+        return { ...centre, traces };
+    }
+
     /**
      * Filter segments to only those inside the shape
      */
@@ -586,21 +3310,22 @@ class PatternGenerator {
         if (!textData) return false;
 
         // Try canvas method first (most accurate)
-        if (textData.canvas && textData.ctx) {
+        if (textData.canvas) {
             try {
-                // Use canvas pixel data for accurate detection
+                // Read the text canvas once; alpha > 0 means inside text
+                if (!textData.bitmap) {
+                    textData.bitmap = MaskBitmap.fromCanvas(textData.canvas, (r, g, b, a) => a > 0);
+                }
+                const bitmap = textData.bitmap;
                 const x = Math.floor(point.x);
                 const y = Math.floor(point.y);
 
                 // Check bounds
-                if (x < 0 || y < 0 || x >= textData.canvas.width || y >= textData.canvas.height) {
+                if (x < 0 || y < 0 || x >= bitmap.width || y >= bitmap.height) {
                     return false;
                 }
 
-                // Get pixel data at this point
-                const imageData = textData.ctx.getImageData(x, y, 1, 1);
-                // If alpha channel > 0, point is inside text
-                if (imageData.data[3] > 0) {
+                if (bitmap.has(x, y)) {
                     return true;
                 }
 
@@ -609,17 +3334,8 @@ class PatternGenerator {
                 for (let dx = -checkRadius; dx <= checkRadius; dx++) {
                     for (let dy = -checkRadius; dy <= checkRadius; dy++) {
                         if (dx === 0 && dy === 0) continue;
-                        const checkX = x + dx;
-                        const checkY = y + dy;
-                        if (checkX >= 0 && checkY >= 0 && checkX < textData.canvas.width && checkY < textData.canvas.height) {
-                            try {
-                                const nearbyData = textData.ctx.getImageData(checkX, checkY, 1, 1);
-                                if (nearbyData.data[3] > 0) {
-                                    return true;
-                                }
-                            } catch (e) {
-                                // Continue
-                            }
+                        if (bitmap.has(x + dx, y + dy)) {
+                            return true;
                         }
                     }
                 }
@@ -673,8 +3389,16 @@ class PatternGenerator {
 
     /**
      * Check if segment can be placed without crossing existing segments
+     * @param {Object} segment - Candidate segment
+     * @param {Array|SegmentIndex} placedSegments - Placed segments, or an index over them
      */
     canPlaceSegment(segment, placedSegments, minDistance, lineThickness = 2, circleRadius = 4) {
+        // A bus fits as a unit: every trace must clear what is already placed,
+        // while traces of the same bus are kept apart by their pitch
+        if (segment.traces) {
+            return segment.traces.every(trace => this.canPlaceSegment(trace, placedSegments, minDistance, lineThickness, circleRadius));
+        }
+
         const endpointThreshold = 3; // Pixels - endpoints closer than this are considered the same
         // Account for line thickness in distance calculations
         const effectiveMinDistance = minDistance + lineThickness / 2;
@@ -682,7 +3406,14 @@ class PatternGenerator {
         // Two circles with radius r need at least 2r distance between centers, plus padding
         const circleClearance = 2 * circleRadius + lineThickness + 3; // Extra 3px padding between circles
 
-        for (const placed of placedSegments) {
+        // Segments further away than the largest clearance can never conflict. In a repeating
+        // pattern the candidate must also clear its own copies, which are not indexed yet
+        const nearbySegments = placedSegments instanceof SegmentIndex
+            ? placedSegments.query(SegmentIndex.getBounds(segment), Math.max(circleClearance, effectiveMinDistance))
+                .concat(placedSegments.imagesOf(segment))
+            : placedSegments;
+
+        for (const placed of nearbySegments) {
             // Check if segments share endpoints (this is allowed for forks)
             const sharesStart = this.pointsClose(segment.start, placed.start, endpointThreshold) ||
                                this.pointsClose(segment.start, placed.end, endpointThreshold);
@@ -896,6 +3627,14 @@ class PatternGenerator {
         return Math.sqrt(dx * dx + dy * dy);
     }
 
+    /**
+     * Direction from one point to another in degrees [0, 360)
+     */
+    getDirection(from, to) {
+        const angle = Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI;
+        return (angle + 360) % 360;
+    }
+
     /**
      * Find forks where segments meet at endpoints (no crossings allowed)
      */
@@ -929,14 +3668,31 @@ class PatternGenerator {
                 // Multiple segments meet at this point - it's a fork
                 // Use the actual average position of all endpoints at this location
                 const point = this.getAverageEndpointPosition(segments, segmentIndices, pointKey, endpointThreshold);
+                // Orient shaped fork pads along the first trace that meets here
+                const first = segments[segmentIndices[0]].points;
+                const atStart = this.pointDistance(first[0], point) <= this.pointDistance(first[first.length - 1], point);
                 forks.push({
                     point: point,
                     segments: segmentIndices,
-                    type: segmentIndices.length > 2 ? 'cross' : 't-junction'
+                    type: segmentIndices.length > 2 ? 'cross' : 't-junction',
+                    angle: atStart
+                        ? this.getDirection(first[0], first[1])
+                        : this.getDirection(first[first.length - 1], first[first.length - 2])
                 });
             }
         });
 
+        // Branches (growth style) start on the side of another trace: a T-junction
+        segments.forEach((segment, i) => {
+            if (!segment.branch || forkPoints.get(this.getPointKey(segment.start, endpointThreshold)).length > 1) return;
+            forks.push({
+                point: { ...segment.start },
+                segments: [i],
+                type: 't-junction',
+                angle: this.getDirection(segment.points[0], segment.points[1])
+            });
+        });
+
         return forks;
     }
 
@@ -1078,8 +3834,8 @@ class PatternGenerator {
             let newEnd = { ...segment.end };
             let newPoints = [...segment.points];
 
-            // Shorten from start if not a fork
-            if (!isStartFork && segment.points.length > 1) {
+            // Shorten from start if not a fork (or a footprint pin)
+            if (!isStartFork && segment.startPad !== false && segment.points.length > 1) {
                 const dx = segment.points[1].x - segment.points[0].x;
                 const dy = segment.points[1].y - segment.points[0].y;
                 const length = Math.sqrt(dx * dx + dy * dy);
@@ -1134,16 +3890,17 @@ class PatternGenerator {
             forkPoints.add(key);
         });
 
-        // Collect segment endpoints that aren't forks
+        // Collect segment endpoints that aren't forks, with the direction the trace leaves the pad
         segments.forEach(segment => {
             const startKey = this.getPointKey(segment.start, endpointThreshold);
             const endKey = this.getPointKey(segment.end, endpointThreshold);
+            const points = segment.points;
 
-            if (!forkPoints.has(startKey)) {
-                endpoints.push(segment.start);
+            if (!forkPoints.has(startKey) && segment.startPad !== false) {
+                endpoints.push({ ...segment.start, angle: this.getDirection(points[0], points[1]) });
             }
             if (!forkPoints.has(endKey)) {
-                endpoints.push(segment.end);
+                endpoints.push({ ...segment.end, angle: this.getDirection(points[points.length - 1], points[points.length - 2]) });
             }
         });
 
@@ -1177,6 +3934,85 @@ class PatternGenerator {
         const existingGradients = defs.querySelectorAll('linearGradient, radialGradient');
         existingGradients.forEach(g => g.remove());
 
+        const { gradients, elements } = this.buildSVGNodes(pattern, canvasWidth, canvasHeight, `patternGradient-${Date.now()}`);
+        gradients.forEach(node => defs.appendChild(this.createSVGElement(node)));
+        elements.forEach(node => patternLayer.appendChild(this.createSVGElement(node)));
+    }
+
+    /**
+     * Render pattern to a standalone SVG document string without touching the DOM.
+     * Produces the same markup as the app's "Download SVG". A seamless tile is
+     * written as an SVG <pattern> filling the document, `repeat` tiles across.
+     * `compact` writes the same picture with far less markup (see buildCompactNodes),
+     * `sharedPads` also places square, oblong and octagon pads as <use> of a <symbol>,
+     * `precision` rounds coordinates and sizes to that many decimals
+     * @param {Object} pattern - Pattern data
+     * @param {Object} options - { width, height, background, repeat, compact, sharedPads, precision } (background null/undefined = transparent)
+     * @returns {string} - Serialized SVG
+     */
+    renderToSVGString(pattern, options = {}) {
+        const { width = 800, height = 600, background = null, repeat = 1, compact = false, sharedPads = false, precision = null } = options;
+        // A fixed gradient id keeps output byte-identical for the same pattern
+        const nodes = this.buildSVGNodes(pattern, parseFloat(width), parseFloat(height), 'patternGradient', compact, sharedPads);
+        const round = node => (precision !== null && precision !== undefined ? this.roundSVGNode(node, precision) : node);
+        const gradients = nodes.gradients.map(round);
+        const elements = nodes.elements.map(round);
+
+        if (pattern.tile) {
+            const tile = pattern.tile;
+            const content = [];
+            if (background) {
+                content.push({ tag: 'rect', attributes: { width: tile.width, height: tile.height, fill: background }, children: [] });
+            }
+            content.push({ tag: 'g', attributes: {}, children: elements });
+
+            return this.serializeSVGNode({
+                tag: 'svg',
+                attributes: { xmlns: 'http://www.w3.org/2000/svg', width: tile.width * repeat, height: tile.height * repeat },
+                children: [
+                    {
+                        tag: 'defs',
+                        attributes: {},
+                        children: [...gradients, {
+                            tag: 'pattern',
+                            attributes: { id: 'circuitTile', width: tile.width, height: tile.height, patternUnits: 'userSpaceOnUse' },
+                            children: content
+                        }]
+                    },
+                    { tag: 'rect', attributes: { width: '100%', height: '100%', fill: 'url(#circuitTile)' }, children: [] }
+                ]
+            });
+        }
+
+        const children = [{ tag: 'defs', attributes: {}, children: gradients }];
+        if (background) {
+            children.push({ tag: 'rect', attributes: { width: '100%', height: '100%', fill: background }, children: [] });
+        }
+        children.push({ tag: 'g', attributes: {}, children: elements });
+
+        return this.serializeSVGNode({
+            tag: 'svg',
+            attributes: { xmlns: 'http://www.w3.org/2000/svg', width, height },
+            children
+        });
+    }
+
+    /**
+     * Describe the SVG for a pattern as plain nodes ({ tag, attributes, children }),
+     * shared by the DOM renderer and the string exporter
+     * @param {Object} pattern - Pattern data
+     * @param {number} canvasWidth - Canvas width (for default gradient points)
+     * @param {number} canvasHeight - Canvas height (for default gradient points)
+     * @param {string} gradientId - Id for the gradient definition (also the prefix for the id of repeated content)
+     * @param {boolean} compact - Describe the pattern with shared styles (see buildCompactNodes)
+     * @param {boolean} sharedPads - With compact, place the pads of several attributes as <use> of a <symbol>
+     * @returns {Object} - { gradients: nodes for <defs>, elements: nodes for the pattern layer }
+     */
+    buildSVGNodes(pattern, canvasWidth, canvasHeight, gradientId, compact = false, sharedPads = false) {
+        const node = (tag, attributes, children = []) => ({ tag, attributes, children });
+        const gradients = [];
+        let elements = [];
+
         const gradientType = pattern.gradientType || 'none';
         const gradientColor = pattern.gradientColor || pattern.lineColor;
         const baseColor = pattern.lineColor;
@@ -1197,117 +4033,556 @@ class PatternGenerator {
         }
 
         // Create a single global gradient definition if needed
-        let gradientId = null;
-        if (gradientType !== 'none') {
-            gradientId = `patternGradient-${Date.now()}`;
+        const stops = [
+            node('stop', { offset: '0%', 'stop-color': baseColor }),
+            node('stop', { offset: '100%', 'stop-color': gradientColor })
+        ];
+        if (gradientType === 'linear') {
+            // Linear gradient using custom start and end points
+            gradients.push(node('linearGradient', {
+                id: gradientId,
+                x1: gradientStart.x,
+                y1: gradientStart.y,
+                x2: gradientEnd.x,
+                y2: gradientEnd.y,
+                gradientUnits: 'userSpaceOnUse'
+            }, stops));
+        } else if (gradientType === 'radial') {
+            // Radial gradient: center at start point, radius to end point
+            const dx = gradientEnd.x - gradientStart.x;
+            const dy = gradientEnd.y - gradientStart.y;
+            const radius = Math.sqrt(dx * dx + dy * dy) || 100; // Default to 100 if points are same
+            gradients.push(node('radialGradient', {
+                id: gradientId,
+                cx: gradientStart.x,
+                cy: gradientStart.y,
+                r: radius,
+                gradientUnits: 'userSpaceOnUse'
+            }, stops));
+        }
 
-            if (gradientType === 'linear') {
-                // Linear gradient using custom start and end points
-                const linearGradient = document.createElementNS('http://www.w3.org/2000/svg', 'linearGradient');
-                linearGradient.setAttribute('id', gradientId);
-                linearGradient.setAttribute('x1', gradientStart.x);
-                linearGradient.setAttribute('y1', gradientStart.y);
-                linearGradient.setAttribute('x2', gradientEnd.x);
-                linearGradient.setAttribute('y2', gradientEnd.y);
-                linearGradient.setAttribute('gradientUnits', 'userSpaceOnUse');
-
-                const stop1 = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
-                stop1.setAttribute('offset', '0%');
-                stop1.setAttribute('stop-color', baseColor);
-                linearGradient.appendChild(stop1);
-
-                const stop2 = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
-                stop2.setAttribute('offset', '100%');
-                stop2.setAttribute('stop-color', gradientColor);
-                linearGradient.appendChild(stop2);
-
-                defs.appendChild(linearGradient);
-            } else if (gradientType === 'radial') {
-                // Radial gradient: center at start point, radius to end point
-                const radialGradient = document.createElementNS('http://www.w3.org/2000/svg', 'radialGradient');
-                radialGradient.setAttribute('id', gradientId);
-                radialGradient.setAttribute('cx', gradientStart.x);
-                radialGradient.setAttribute('cy', gradientStart.y);
-                // Calculate radius as distance from start to end point
-                const dx = gradientEnd.x - gradientStart.x;
-                const dy = gradientEnd.y - gradientStart.y;
-                const radius = Math.sqrt(dx * dx + dy * dy) || 100; // Default to 100 if points are same
-                radialGradient.setAttribute('r', radius);
-                radialGradient.setAttribute('gradientUnits', 'userSpaceOnUse');
-
-                const stop1 = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
-                stop1.setAttribute('offset', '0%');
-                stop1.setAttribute('stop-color', baseColor);
-                radialGradient.appendChild(stop1);
-
-                const stop2 = document.createElementNS('http://www.w3.org/2000/svg', 'stop');
-                stop2.setAttribute('offset', '100%');
-                stop2.setAttribute('stop-color', gradientColor);
-                radialGradient.appendChild(stop2);
-
-                defs.appendChild(radialGradient);
-            }
-        }
-
-        // Helper function to set stroke color/gradient
-        const setStroke = (element) => {
-            if (gradientType !== 'none' && gradientId) {
-                element.setAttribute('stroke', `url(#${gradientId})`);
+        // All elements use the same global gradient
+        const stroke = gradients.length > 0 ? `url(#${gradientId})` : baseColor;
+
+        // Elements of a settings group use the style that group overrides
+        const forkRadius = pattern.forkRadius !== undefined ? pattern.forkRadius : pattern.circleRadius * 1.2;
+        const styleOf = (item) => {
+            const style = (pattern.groups && pattern.groups[item.group]) || {};
+            return {
+                paint: style.lineColor || stroke,
+                lineThickness: style.lineThickness !== undefined ? style.lineThickness : pattern.lineThickness,
+                circleRadius: style.circleRadius !== undefined ? style.circleRadius : pattern.circleRadius,
+                forkRadius: style.forkRadius !== undefined ? style.forkRadius : forkRadius
+            };
+        };
+
+        if (compact) {
+            const compactNodes = this.buildCompactNodes(pattern, styleOf, gradientId, sharedPads);
+            gradients.push(...compactNodes.defs);
+            elements = compactNodes.elements;
+        } else {
+            // Render segments
+            pattern.segments.forEach(segment => {
+                const style = styleOf(segment);
+                if (segment.points.length > 2) {
+                    // Curved path
+                    elements.push(node('path', {
+                        d: this.buildTracePath(segment.points, pattern.cornerStyle, pattern.cornerSize),
+                        stroke: style.paint,
+                        'stroke-width': style.lineThickness,
+                        fill: 'none'
+                    }));
+                } else {
+                    // Straight line
+                    elements.push(node('line', {
+                        x1: segment.start.x,
+                        y1: segment.start.y,
+                        x2: segment.end.x,
+                        y2: segment.end.y,
+                        stroke: style.paint,
+                        'stroke-width': style.lineThickness
+                    }));
+                }
+            });
+
+            // Render component footprints
+            (pattern.footprints || []).forEach(footprint => {
+                const style = styleOf(footprint);
+                elements.push(this.buildFootprintNode(footprint, style.paint, style.lineThickness));
+            });
+
+            // Render pads at endpoints
+            pattern.circles.forEach(point => {
+                const style = styleOf(point);
+                elements.push(this.buildPadNode(point.pad, point, point.angle, style.circleRadius, style.paint, style.lineThickness));
+            });
+
+            // Render fork junctions
+            pattern.forks.forEach(fork => {
+                const style = styleOf(fork);
+                elements.push(this.buildPadNode(fork.pad, fork.point, fork.angle, style.forkRadius, style.paint, style.lineThickness));
+            });
+        }
+
+        // A repeating pattern is drawn once and shown again at every copy: one tile away in every
+        // direction for a tile (so what crosses an edge shows on the opposite side), mirrored or rotated for symmetry
+        const copies = this.getRepeatMatrices(pattern);
+        if (copies.length > 0) {
+            const contentId = `${gradientId}-${pattern.tile ? 'tile' : 'sector'}`;
+            return {
+                gradients,
+                elements: [
+                    node('g', { id: contentId }, elements),
+                    ...copies.map(m => node('use', { href: `#${contentId}`, transform: `matrix(${m.join(' ')})` }))
+                ]
+            };
+        }
+
+        return { gradients, elements };
+    }
+
+    /**
+     * Describe the pattern with as little markup as possible, drawing the same picture.
+     * Elements are painted in the same order as the normal export (traces, footprints,
+     * pads, forks); each run of elements in one style is a group that carries fill, stroke
+     * and stroke width. Runs keep their order too, since blending even one paint over
+     * itself rounds differently in another order: consecutive traces are joined into
+     * paths (see batchTraces), and filled pads in a row share a nested group that sets
+     * their fill.
+     * With sharedPads, square, oblong and octagon pads are drawn once per size around the
+     * origin, as a <symbol>, and placed with <use>. That is much shorter, but a shape drawn
+     * through a transform gets slightly different edge pixels, so the picture is no longer
+     * pixel-identical. Pads painted with a gradient stay in place: the gradient would move
+     * with the <use>
+     * @param {Object} pattern - Pattern data
+     * @param {Function} styleOf - Style of an element: { paint, lineThickness, circleRadius, forkRadius }
+     * @param {string} idPrefix - Prefix for the ids of the symbols
+     * @param {boolean} sharedPads - Place square, oblong and octagon pads with <use>
+     * @returns {Object} - { defs: symbol nodes, elements: one group node per run of elements in one style }
+     */
+    buildCompactNodes(pattern, styleOf, idPrefix, sharedPads = false) {
+        const node = (tag, attributes, children = []) => ({ tag, attributes, children });
+        const runs = [];
+        const groupOf = (style) => {
+            const key = `${style.paint} ${style.lineThickness}`;
+            let run = runs[runs.length - 1];
+            if (!run || run.key !== key) {
+                run = { key, style, traces: [], children: [], fillGroup: null };
+                runs.push(run);
+            }
+            return run;
+        };
+
+        // Attributes the group already sets are left out; shapes the group would stroke get stroke="none"
+        const inherit = (shape, style) => {
+            if (shape.tag === 'g') {
+                return node('g', shape.attributes, shape.children.map(child => inherit(child, style)));
+            }
+            const { fill, stroke, 'stroke-width': strokeWidth, ...attributes } = shape.attributes;
+            if (fill !== undefined && fill !== 'none') {
+                attributes.fill = fill;
+            }
+            if (stroke === undefined) {
+                attributes.stroke = 'none';
             } else {
-                element.setAttribute('stroke', baseColor);
+                if (stroke !== style.paint) {
+                    attributes.stroke = stroke;
+                }
+                if (strokeWidth !== undefined && strokeWidth !== style.lineThickness) {
+                    attributes['stroke-width'] = strokeWidth;
+                }
             }
+            return node(shape.tag, attributes, shape.children);
         };
 
-        // Render segments - all use the same global gradient
         pattern.segments.forEach(segment => {
-            if (segment.points.length > 2) {
-                // Curved path
-                let pathData = `M ${segment.points[0].x} ${segment.points[0].y}`;
-                for (let i = 1; i < segment.points.length; i++) {
-                    pathData += ` L ${segment.points[i].x} ${segment.points[i].y}`;
+            groupOf(styleOf(segment)).traces.push(segment);
+        });
+        (pattern.footprints || []).forEach(footprint => {
+            const style = styleOf(footprint);
+            groupOf(style).children.push(inherit(this.buildFootprintNode(footprint, style.paint, style.lineThickness), style));
+        });
+
+        const defs = [];
+        const symbols = new Map();
+        const symbolOf = (pad, radius, style, shape) => {
+            const key = `${pad} ${radius} ${style.lineThickness}`;
+            if (!symbols.has(key)) {
+                symbols.set(key, `${idPrefix}-${pad}${symbols.size}`);
+                defs.push(node('symbol', { id: symbols.get(key), overflow: 'visible' }, [shape]));
+            }
+            return symbols.get(key);
+        };
+
+        // Filled pads in a row share a nested group that sets their fill
+        const addPad = (pad, center, angle, radius, style) => {
+            const group = groupOf(style);
+            const shared = sharedPads && PatternGenerator.SHARED_PADS.includes(pad) && !style.paint.startsWith('url(');
+            let shape = shared
+                ? inherit(this.buildPadNode(pad, { x: 0, y: 0 }, 0, radius, style.paint, style.lineThickness), style)
+                : inherit(this.buildPadNode(pad, center, angle, radius, style.paint, style.lineThickness), style);
+            const filled = shape.attributes.fill === style.paint && shape.attributes.stroke === 'none';
+            if (filled) {
+                const { fill, stroke, ...attributes } = shape.attributes;
+                shape = node(shape.tag, attributes);
+            }
+            if (shared) {
+                const href = `#${symbolOf(pad, radius, style, shape)}`;
+                shape = node('use', angle
+                    ? { href, transform: `translate(${center.x} ${center.y}) rotate(${angle})` }
+                    : { href, x: center.x, y: center.y });
+            }
+
+            if (!filled) {
+                group.children.push(shape);
+                group.fillGroup = null;
+                return;
+            }
+            if (!group.fillGroup) {
+                group.fillGroup = node('g', { fill: style.paint, stroke: 'none' });
+                group.children.push(group.fillGroup);
+            }
+            group.fillGroup.children.push(shape);
+        };
+        pattern.circles.forEach(circle => {
+            const style = styleOf(circle);
+            addPad(circle.pad, circle, circle.angle, style.circleRadius, style);
+        });
+        pattern.forks.forEach(fork => {
+            const style = styleOf(fork);
+            addPad(fork.pad, fork.point, fork.angle, style.forkRadius, style);
+        });
+
+        const elements = runs.map(({ style, traces, children }) => {
+            const content = this.batchTraces(traces, style.lineThickness).map(batch => node('path', {
+                d: batch.map(segment => this.buildTracePath(segment.points, pattern.cornerStyle, pattern.cornerSize)).join(' ')
+            }));
+            content.push(...children);
+            return node('g', { fill: 'none', stroke: style.paint, 'stroke-width': style.lineThickness }, content);
+        });
+        return { defs, elements };
+    }
+
+    /**
+     * Split traces, in order, into batches whose strokes stay apart, so each batch can be
+     * one path. Strokes of one path that overlap or nearly touch (e.g. at a fork) have their
+     * edge pixels drawn once instead of once per trace, which would change the picture
+     * @param {Array} segments - Traces in canvas pixels
+     * @param {number} lineThickness - Stroke width
+     * @returns {Array} - Arrays of traces, in their original order
+     */
+    batchTraces(segments, lineThickness) {
+        // Two strokes interact when their edges come within an anti-aliased pixel
+        const reach = lineThickness + 2;
+        const bounds = segments.map(segment => SegmentIndex.getBounds(segment));
+        const touches = (i, j) => {
+            const a = bounds[i];
+            const b = bounds[j];
+            if (a.minX > b.maxX + reach || b.minX > a.maxX + reach || a.minY > b.maxY + reach || b.minY > a.maxY + reach) {
+                return false;
+            }
+            const p = segments[i].points;
+            const q = segments[j].points;
+            for (let m = 1; m < p.length; m++) {
+                for (let n = 1; n < q.length; n++) {
+                    if (this.segmentToSegmentDistance(p[m - 1], p[m], q[n - 1], q[n]) < reach) return true;
                 }
-                const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-                path.setAttribute('d', pathData);
-                setStroke(path);
-                path.setAttribute('stroke-width', pattern.lineThickness);
-                path.setAttribute('fill', 'none');
-                patternLayer.appendChild(path);
+            }
+            return false;
+        };
+
+        // A trace that touches one of the current batch starts the next
+        const batches = [];
+        segments.forEach((segment, i) => {
+            let batch = batches[batches.length - 1];
+            if (!batch || batch.some(j => touches(i, j))) {
+                batch = [];
+                batches.push(batch);
+            }
+            batch.push(i);
+        });
+        return batches.map(members => members.map(i => segments[i]));
+    }
+
+    /**
+     * Copy of a node with the numbers in its geometry attributes rounded to a number of
+     * decimals, and path data without the spaces around commands
+     */
+    roundSVGNode(node, precision) {
+        const factor = Math.pow(10, Math.max(0, Math.round(precision)));
+        const round = value => String(Math.round(value * factor) / factor);
+        const attributes = {};
+        Object.keys(node.attributes).forEach(name => {
+            const value = node.attributes[name];
+            if (!PatternGenerator.SVG_GEOMETRY_ATTRIBUTES.includes(name)) {
+                attributes[name] = value;
+            } else if (typeof value === 'number') {
+                attributes[name] = round(value);
             } else {
-                // Straight line
-                const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-                line.setAttribute('x1', segment.start.x);
-                line.setAttribute('y1', segment.start.y);
-                line.setAttribute('x2', segment.end.x);
-                line.setAttribute('y2', segment.end.y);
-                setStroke(line);
-                line.setAttribute('stroke-width', pattern.lineThickness);
-                patternLayer.appendChild(line);
+                // The rotation and scale of a matrix keep every digit; rounding them would distort the copy
+                const roundNumbers = text => text.replace(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi, number => round(parseFloat(number)));
+                attributes[name] = String(value).replace(/matrix\(([^)]*)\)|[^m]+|m/g, (part, entries) => {
+                    if (entries === undefined) return roundNumbers(part);
+                    const numbers = entries.trim().split(/[\s,]+/);
+                    return `matrix(${numbers.slice(0, 4).concat(numbers.slice(4).map(roundNumbers)).join(' ')})`;
+                });
+                if (name === 'd') {
+                    attributes[name] = attributes[name].replace(/ ?([MLA]) /g, '$1');
+                }
             }
         });
+        return { tag: node.tag, attributes, children: node.children.map(child => this.roundSVGNode(child, precision)) };
+    }
+
+    /**
+     * Describe one pad. Every style has the same outer size as a ring of the
+     * given radius and stroke; square and oblong pads line up with their trace
+     * @param {string} pad - Pad style (ring when missing)
+     * @param {Object} center - Pad centre
+     * @param {number} angle - Direction of the trace at the pad in degrees
+     * @param {number} radius - Ring radius
+     * @param {string} paint - Stroke or fill paint
+     * @param {number} lineThickness - Trace thickness
+     */
+    buildPadNode(pad, center, angle, radius, paint, lineThickness) {
+        const node = (tag, attributes) => ({ tag, attributes, children: [] });
+        const outer = radius + lineThickness / 2;
+        const rotate = angle ? { transform: `rotate(${angle} ${center.x} ${center.y})` } : {};
+
+        switch (pad) {
+            case 'dot':
+                return node('circle', { cx: center.x, cy: center.y, r: outer, fill: paint });
+
+            case 'square':
+                return node('rect', {
+                    x: center.x - outer,
+                    y: center.y - outer,
+                    width: outer * 2,
+                    height: outer * 2,
+                    fill: paint,
+                    ...rotate
+                });
+
+            case 'oblong':
+                // Stretched back along the trace, so the far end stays where a ring would end
+                return node('rect', {
+                    x: center.x - outer,
+                    y: center.y - outer,
+                    width: outer * 3.2,
+                    height: outer * 2,
+                    rx: outer,
+                    fill: paint,
+                    ...rotate
+                });
+
+            case 'via': {
+                // Thick annular ring around a drill hole
+                const hole = radius * 0.45;
+                return node('circle', {
+                    cx: center.x,
+                    cy: center.y,
+                    r: (outer + hole) / 2,
+                    fill: 'none',
+                    stroke: paint,
+                    'stroke-width': outer - hole
+                });
+            }
 
-        // Render circles at endpoints (stroke only) - all use the same global gradient
-        pattern.circles.forEach(point => {
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('cx', point.x);
-            circle.setAttribute('cy', point.y);
-            circle.setAttribute('r', pattern.circleRadius);
-            circle.setAttribute('fill', 'none');
-            setStroke(circle);
-            circle.setAttribute('stroke-width', pattern.lineThickness);
-            patternLayer.appendChild(circle);
+            case 'octagon': {
+                const corner = radius / Math.cos(Math.PI / 8);
+                const points = [];
+                for (let i = 0; i < 8; i++) {
+                    const a = (i + 0.5) * Math.PI / 4 + (angle || 0) * Math.PI / 180;
+                    points.push(`${center.x + Math.cos(a) * corner},${center.y + Math.sin(a) * corner}`);
+                }
+                return node('polygon', {
+                    points: points.join(' '),
+                    fill: 'none',
+                    stroke: paint,
+                    'stroke-width': lineThickness
+                });
+            }
+
+            default:
+                return node('circle', {
+                    cx: center.x,
+                    cy: center.y,
+                    r: radius,
+                    fill: 'none',
+                    stroke: paint,
+                    'stroke-width': lineThickness
+                });
+        }
+    }
+
+    /**
+     * Describe a footprint as a group: body outline, pin pads and, on chips,
+     * a pin 1 mark
+     * @param {Object} footprint - Footprint in canvas space
+     * @param {string} paint - Stroke or fill paint
+     * @param {number} lineThickness - Trace thickness, used for the outline
+     */
+    buildFootprintNode(footprint, paint, lineThickness) {
+        const node = (tag, attributes) => ({ tag, attributes, children: [] });
+        const { x, y, width, height, pinLength, pinWidth } = footprint;
+        const children = [];
+
+        children.push(node('rect', {
+            x: x - width / 2,
+            y: y - height / 2,
+            width,
+            height,
+            // Crystals have the rounded can outline
+            rx: footprint.type === 'crystal' ? height / 2 : 0,
+            fill: 'none',
+            stroke: paint,
+            'stroke-width': lineThickness,
+            ...(footprint.angle ? { transform: `rotate(${footprint.angle} ${x} ${y})` } : {})
+        }));
+
+        if (footprint.type === 'qfp' || footprint.type === 'soic') {
+            const inset = Math.min(width, height) * 0.2;
+            const mark = { x: -width / 2 + inset, y: -height / 2 + inset };
+            if (footprint.angle === 90) {
+                [mark.x, mark.y] = [-mark.y, mark.x];
+            }
+            children.push(node('circle', { cx: x + mark.x, cy: y + mark.y, r: lineThickness, fill: paint }));
+        }
+
+        footprint.pins.forEach(pin => {
+            const cx = x + pin.x;
+            const cy = y + pin.y;
+            children.push(node('rect', {
+                x: cx - pinLength / 2,
+                y: cy - pinWidth / 2,
+                width: pinLength,
+                height: pinWidth,
+                fill: paint,
+                ...(pin.angle ? { transform: `rotate(${pin.angle} ${cx} ${cy})` } : {})
+            }));
         });
 
-        // Render forks (stroke only) - all use the same global gradient
-        pattern.forks.forEach(fork => {
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            circle.setAttribute('cx', fork.point.x);
-            circle.setAttribute('cy', fork.point.y);
-            circle.setAttribute('r', pattern.circleRadius * 1.2);
-            circle.setAttribute('fill', 'none');
-            setStroke(circle);
-            circle.setAttribute('stroke-width', pattern.lineThickness);
-            patternLayer.appendChild(circle);
+        return { tag: 'g', attributes: {}, children };
+    }
+
+    /**
+     * Build path data for a bent trace. Bends are sharp joins, straight chamfer
+     * cuts, or circular fillets; a cut never takes more than half of a leg
+     * @param {Array} points - Trace points
+     * @param {string} cornerStyle - 'sharp', 'chamfer' or 'round'
+     * @param {number} cornerSize - Chamfer cut length or fillet radius
+     * @returns {string} - SVG path data
+     */
+    buildTracePath(points, cornerStyle = 'sharp', cornerSize = 0) {
+        let pathData = `M ${points[0].x} ${points[0].y}`;
+        const last = points[points.length - 1];
+
+        if ((cornerStyle !== 'chamfer' && cornerStyle !== 'round') || !(cornerSize > 0)) {
+            for (let i = 1; i < points.length; i++) {
+                pathData += ` L ${points[i].x} ${points[i].y}`;
+            }
+            return pathData;
+        }
+
+        for (let i = 1; i < points.length - 1; i++) {
+            const prev = points[i - 1];
+            const corner = points[i];
+            const next = points[i + 1];
+            const inLength = this.pointDistance(prev, corner);
+            const outLength = this.pointDistance(corner, next);
+            if (inLength < 0.001 || outLength < 0.001) continue;
+
+            const inDir = { x: (corner.x - prev.x) / inLength, y: (corner.y - prev.y) / inLength };
+            const outDir = { x: (next.x - corner.x) / outLength, y: (next.y - corner.y) / outLength };
+            const cross = inDir.x * outDir.y - inDir.y * outDir.x;
+            const turn = Math.acos(Math.max(-1, Math.min(1, inDir.x * outDir.x + inDir.y * outDir.y)));
+            if (Math.abs(cross) < 1e-6) {
+                // No bend here
+                pathData += ` L ${corner.x} ${corner.y}`;
+                continue;
+            }
+
+            // Distance from the corner to where the cut or arc starts on each leg
+            const cut = Math.min(
+                cornerStyle === 'round' ? cornerSize * Math.tan(turn / 2) : cornerSize,
+                inLength / 2,
+                outLength / 2
+            );
+            const from = { x: corner.x - inDir.x * cut, y: corner.y - inDir.y * cut };
+            const to = { x: corner.x + outDir.x * cut, y: corner.y + outDir.y * cut };
+
+            pathData += ` L ${from.x} ${from.y}`;
+            if (cornerStyle === 'round') {
+                // Sweep clockwise (y points down) for right-hand bends
+                const radius = cut / Math.tan(turn / 2);
+                pathData += ` A ${radius} ${radius} 0 0 ${cross > 0 ? 1 : 0} ${to.x} ${to.y}`;
+            } else {
+                pathData += ` L ${to.x} ${to.y}`;
+            }
+        }
+
+        pathData += ` L ${last.x} ${last.y}`;
+        return pathData;
+    }
+
+    /**
+     * Create a DOM element from a node produced by buildSVGNodes
+     */
+    createSVGElement(node) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', node.tag);
+        Object.keys(node.attributes).forEach(name => {
+            element.setAttribute(name, node.attributes[name]);
         });
+        node.children.forEach(child => element.appendChild(this.createSVGElement(child)));
+        return element;
+    }
+
+    /**
+     * Serialize a node produced by buildSVGNodes to XML
+     */
+    serializeSVGNode(node) {
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/"/g, '&quot;');
+        const attributes = Object.keys(node.attributes)
+            .map(name => ` ${name}="${escape(node.attributes[name])}"`)
+            .join('');
+
+        if (node.children.length === 0) {
+            return `<${node.tag}${attributes}/>`;
+        }
+        const children = node.children.map(child => this.serializeSVGNode(child)).join('');
+        return `<${node.tag}${attributes}>${children}</${node.tag}>`;
     }
 }
 
+// Pad shapes for endpoints and forks
+PatternGenerator.PAD_STYLES = ['ring', 'dot', 'square', 'oblong', 'via', 'octagon'];
+
+// Pads of several attributes that compact SVG can define once and place with <use>
+PatternGenerator.SHARED_PADS = ['square', 'oblong', 'octagon'];
+
+// Attributes whose numbers roundSVGNode rounds (colours, ids and references are left alone)
+PatternGenerator.SVG_GEOMETRY_ATTRIBUTES = ['d', 'points', 'transform', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'width', 'height', 'stroke-width'];
+
+// Options an object can override for its own part of the pattern
+PatternGenerator.OBJECT_OVERRIDES = ['density', 'patternScale', 'lineThickness', 'circleRadius', 'style', 'lineColor'];
+
+// Component footprints the generator can place
+PatternGenerator.FOOTPRINT_TYPES = ['qfp', 'soic', 'passive', 'crystal'];
+
+// Angle sets offered in the controls panel; any other list can be passed as options.angles
+PatternGenerator.ANGLE_PRESETS = {
+    '45': [0, 45, 90, 135],
+    manhattan: [0, 90],
+    '30-60': [0, 30, 60, 90, 120, 150]
+};
+
+// Grid steps for the eight 45-degree headings, clockwise from east (y points down)
+PatternGenerator.ROUTE_DIRECTIONS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+
+// Allow use from Node (command-line generator) as well as from browser scripts and workers
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PatternGenerator, MaskBitmap, DensityMap, SegmentIndex };
+}
@@ -0,0 +1,46 @@
+/* Runs PatternGenerator.generateGroups off the main thread */
+importScripts('pattern-generator.js');
+
+const SNAPSHOT_INTERVAL = 300; // Milliseconds between partial patterns sent back
+
+self.addEventListener('message', (e) => {
+    const { type, groups, options } = e.data;
+    if (type !== 'generate') return;
+
+    const generator = new PatternGenerator();
+    let lastSnapshot = Date.now();
+
+    // A failed run is reported back instead of surfacing as a worker error
+    let pattern;
+    try {
+        const masks = groups.map(group => ({
+            mask: new MaskBitmap(group.width, group.height, new Uint8Array(group.maskData)),
+            overrides: group.overrides
+        }));
+        pattern = generator.generateGroups(masks, {
+            ...options,
+            onProgress: (progress) => {
+                const message = {
+                    type: 'progress',
+                    tested: progress.tested,
+                    total: progress.total,
+                    placed: progress.placed
+                };
+
+                // Partial results are costly to assemble, so only send them now and then
+                const now = Date.now();
+                if (now - lastSnapshot >= SNAPSHOT_INTERVAL && progress.placed > 0) {
+                    lastSnapshot = now;
+                    message.pattern = progress.snapshot();
+                }
+
+                self.postMessage(message);
+            }
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+        return;
+    }
+
+    self.postMessage({ type: 'done', pattern });
+});